@@ -0,0 +1,41 @@
+const { ClusterAdapterWithHeartbeat } = require("socket.io-adapter");
+
+// Socket.IO adapter that relays broadcasts, room joins and fetchSockets()
+// between server instances over any client returned by createPubSub().
+class PubSubAdapter extends ClusterAdapterWithHeartbeat {
+  constructor(nsp, pubsub, opts) {
+    super(nsp, opts);
+    this.pubsub = pubsub;
+    this.channel = `socket.io#${nsp.name}`;
+    this.unsubscribers = [
+      pubsub.subscribe(this.channel, (message) => this.onMessage(message)),
+      pubsub.subscribe(`${this.channel}#${this.uid}`, (response) =>
+        this.onResponse(response)
+      ),
+    ];
+  }
+
+  doPublish(message) {
+    this.pubsub.publish(this.channel, message);
+    return Promise.resolve("");
+  }
+
+  doPublishResponse(requesterUid, response) {
+    this.pubsub.publish(`${this.channel}#${requesterUid}`, response);
+    return Promise.resolve();
+  }
+
+  close() {
+    super.close();
+    this.unsubscribers.forEach((unsubscribe) => unsubscribe());
+  }
+}
+
+// Socket.IO instantiates the adapter with `new`, hence no arrow function.
+function createPubSubAdapter(pubsub, opts = {}) {
+  return function (nsp) {
+    return new PubSubAdapter(nsp, pubsub, opts);
+  };
+}
+
+module.exports = { createPubSubAdapter };
@@ -0,0 +1,58 @@
+const net = require("net");
+
+// Minimal pub/sub broker for running several server instances locally:
+//   node cluster/broker.js            (listens on BROKER_PORT, default 4100)
+//   CLUSTER_BROKER_URL=tcp://127.0.0.1:4100 SESSION_SECRET=... PORT=3001 node server.js
+//   CLUSTER_BROKER_URL=tcp://127.0.0.1:4100 SESSION_SECRET=... PORT=3002 node server.js
+// Every instance needs the same SESSION_SECRET so a session token issued by
+// one node is accepted by the others; the server refuses to start without it.
+function createBroker() {
+  const subscriptions = new Map(); // { channel: Set<net.Socket> }
+
+  return net.createServer((socket) => {
+    let buffer = "";
+    socket.setEncoding("utf8");
+    socket.on("data", (chunk) => {
+      buffer += chunk;
+      let newline;
+      while ((newline = buffer.indexOf("\n")) !== -1) {
+        const line = buffer.slice(0, newline);
+        buffer = buffer.slice(newline + 1);
+        if (!line) continue;
+        let frame;
+        try {
+          frame = JSON.parse(line);
+        } catch (err) {
+          continue;
+        }
+        if (frame.type === "sub") {
+          if (!subscriptions.has(frame.channel)) {
+            subscriptions.set(frame.channel, new Set());
+          }
+          subscriptions.get(frame.channel).add(socket);
+        } else if (frame.type === "pub") {
+          const out = `${JSON.stringify({
+            channel: frame.channel,
+            message: frame.message,
+          })}\n`;
+          (subscriptions.get(frame.channel) || []).forEach((subscriber) => {
+            if (subscriber !== socket) subscriber.write(out);
+          });
+        }
+      }
+    });
+    socket.on("error", () => {});
+    socket.on("close", () => {
+      subscriptions.forEach((subscribers) => subscribers.delete(socket));
+    });
+  });
+}
+
+if (require.main === module) {
+  const port = process.env.BROKER_PORT || 4100;
+  createBroker().listen(port, () => {
+    console.log(`📡 Pub/sub broker listening on port ${port}`);
+  });
+}
+
+module.exports = { createBroker };
@@ -0,0 +1,136 @@
+const net = require("net");
+
+const RECONNECT_DELAY_MS = 1000;
+
+// Both clients expose the same interface:
+//   publish(channel, message)     -> fans a JSON-serialisable message out to
+//                                    every *other* subscriber of the channel
+//   subscribe(channel, handler)   -> returns an unsubscribe function
+//   close()
+//   hasPeers()                    -> false when nobody else could be listening
+
+// In-process broker. With a single server this is all that is needed, and
+// publishing to a broker without other clients costs nothing.
+function createLocalBroker() {
+  const clients = new Set();
+  return {
+    connect() {
+      const handlers = new Map();
+      const client = {
+        deliver(channel, json) {
+          (handlers.get(channel) || []).forEach((handler) =>
+            handler(JSON.parse(json))
+          );
+        },
+      };
+      clients.add(client);
+      return {
+        publish(channel, message) {
+          if (clients.size < 2) return;
+          const json = JSON.stringify(message);
+          clients.forEach((other) => {
+            if (other !== client) other.deliver(channel, json);
+          });
+        },
+        subscribe(channel, handler) {
+          if (!handlers.has(channel)) handlers.set(channel, []);
+          handlers.get(channel).push(handler);
+          return () =>
+            handlers.set(
+              channel,
+              handlers.get(channel).filter((h) => h !== handler)
+            );
+        },
+        close() {
+          clients.delete(client);
+        },
+        hasPeers() {
+          return clients.size > 1;
+        },
+      };
+    },
+  };
+}
+
+// Client for the standalone broker in ./broker.js, speaking newline-delimited
+// JSON frames: { type: "sub"|"pub", channel, message }.
+function createTcpPubSub(url) {
+  const { hostname, port } = new URL(url);
+  const handlers = new Map();
+  const queue = [];
+  let socket = null;
+  let connected = false;
+  let closed = false;
+
+  function send(frame) {
+    const line = `${JSON.stringify(frame)}\n`;
+    if (connected) socket.write(line);
+    else queue.push(line);
+  }
+
+  function connect() {
+    let buffer = "";
+    socket = net.connect(Number(port), hostname, () => {
+      connected = true;
+      console.log(`[PubSub] Connected to broker at ${url}`);
+      for (const channel of handlers.keys()) {
+        socket.write(`${JSON.stringify({ type: "sub", channel })}\n`);
+      }
+      queue.splice(0).forEach((line) => socket.write(line));
+    });
+    socket.setEncoding("utf8");
+    socket.on("data", (chunk) => {
+      buffer += chunk;
+      let newline;
+      while ((newline = buffer.indexOf("\n")) !== -1) {
+        const line = buffer.slice(0, newline);
+        buffer = buffer.slice(newline + 1);
+        if (!line) continue;
+        const { channel, message } = JSON.parse(line);
+        (handlers.get(channel) || []).forEach((handler) => handler(message));
+      }
+    });
+    socket.on("error", (err) => {
+      console.error(`[PubSub] Broker connection error: ${err.message}`);
+    });
+    socket.on("close", () => {
+      connected = false;
+      if (!closed) setTimeout(connect, RECONNECT_DELAY_MS);
+    });
+  }
+
+  connect();
+  return {
+    publish(channel, message) {
+      send({ type: "pub", channel, message });
+    },
+    subscribe(channel, handler) {
+      if (!handlers.has(channel)) {
+        handlers.set(channel, []);
+        if (connected) send({ type: "sub", channel });
+      }
+      handlers.get(channel).push(handler);
+      return () =>
+        handlers.set(
+          channel,
+          handlers.get(channel).filter((h) => h !== handler)
+        );
+    },
+    close() {
+      closed = true;
+      socket.end();
+    },
+    hasPeers() {
+      return true;
+    },
+  };
+}
+
+const localBroker = createLocalBroker();
+
+function createPubSub(options = {}) {
+  if (options.url) return createTcpPubSub(options.url);
+  return localBroker.connect();
+}
+
+module.exports = { createPubSub, createLocalBroker };
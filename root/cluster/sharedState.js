@@ -0,0 +1,87 @@
+const CHANNEL = "shared-state";
+
+// Replicates top-level writes to maps and sets across server instances.
+// Reads stay local and synchronous. Only assignments and deletes are seen, so
+// after mutating a nested value in place, assign it back to its key
+// (`rooms[id] = room`) to publish the change.
+function createSharedState(pubsub, nodeId) {
+  const collections = {}; // { name: { type: "map"|"set", target } }
+
+  function publish(name, op, key, value) {
+    if (!pubsub.hasPeers()) return;
+    pubsub.publish(CHANNEL, { origin: nodeId, name, op, key, value });
+  }
+
+  function snapshot(name) {
+    const { type, target } = collections[name];
+    return type === "set" ? [...target] : target;
+  }
+
+  function apply({ name, op, key, value }) {
+    const collection = collections[name];
+    if (!collection) return;
+    const { type, target } = collection;
+    if (op === "set") target[key] = value;
+    else if (op === "delete" && type === "map") delete target[key];
+    else if (op === "add") Set.prototype.add.call(target, key);
+    else if (op === "delete") Set.prototype.delete.call(target, key);
+    else if (op === "snapshot" && type === "map") Object.assign(target, value);
+    else if (op === "snapshot") {
+      value.forEach((item) => Set.prototype.add.call(target, item));
+    }
+  }
+
+  pubsub.subscribe(CHANNEL, (message) => {
+    if (message.origin === nodeId) return;
+    if (message.op === "sync") {
+      Object.keys(collections).forEach((name) =>
+        publish(name, "snapshot", null, snapshot(name))
+      );
+      return;
+    }
+    apply(message);
+  });
+
+  return {
+    // Keys often come straight from clients, so the target has no prototype:
+    // "__proto__" or "toString" are ordinary, missing keys.
+    map(name, initial = {}) {
+      const target = Object.assign(Object.create(null), initial);
+      collections[name] = { type: "map", target };
+      return new Proxy(target, {
+        set(target, key, value) {
+          target[key] = value;
+          publish(name, "set", key, value);
+          return true;
+        },
+        deleteProperty(target, key) {
+          if (!(key in target)) return true;
+          delete target[key];
+          publish(name, "delete", key);
+          return true;
+        },
+      });
+    },
+    set(name, initial = []) {
+      const target = new Set(initial);
+      target.add = function (item) {
+        Set.prototype.add.call(this, item);
+        publish(name, "add", item);
+        return this;
+      };
+      target.delete = function (item) {
+        const removed = Set.prototype.delete.call(this, item);
+        if (removed) publish(name, "delete", item);
+        return removed;
+      };
+      collections[name] = { type: "set", target };
+      return target;
+    },
+    // Asks the instances that are already running for their current state.
+    requestSync() {
+      publish(null, "sync");
+    },
+  };
+}
+
+module.exports = { createSharedState };
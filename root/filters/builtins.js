@@ -0,0 +1,79 @@
+const fs = require("fs");
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+function readWordList(file) {
+  return fs
+    .readFileSync(file, "utf8")
+    .split("\n")
+    .map((line) => line.trim().toLowerCase())
+    .filter((line) => line && !line.startsWith("#"));
+}
+
+// mode "mask" replaces each listed word with asterisks, "reject" drops the
+// whole message.
+function createWordFilter({ words, mode = "mask" }) {
+  if (words.length === 0) return () => undefined;
+  const pattern = new RegExp(
+    `\\b(${words.map(escapeRegExp).join("|")})\\b`,
+    "gi"
+  );
+  return ({ text }) => {
+    pattern.lastIndex = 0;
+    if (!pattern.test(text)) return undefined;
+    if (mode === "reject") {
+      return { reject: "Your message contains blocked words." };
+    }
+    return { text: text.replace(pattern, (word) => "*".repeat(word.length)) };
+  };
+}
+
+// Tracks each user's recent messages across every room they write in.
+function createFloodFilter({
+  windowMs = 60 * 1000,
+  maxMessages = 20,
+  maxDuplicates = 2,
+}) {
+  const recent = {}; // { userId: [{ text, at }] }
+  const filter = ({ text, userId, now }) => {
+    const normalized = text.trim().toLowerCase().replace(/\s+/g, " ");
+    const history = (recent[userId] || []).filter(
+      (entry) => now - entry.at < windowMs
+    );
+    recent[userId] = history;
+    if (history.length >= maxMessages) {
+      return { reject: "You are sending too many messages. Slow down." };
+    }
+    const duplicates = history.filter((e) => e.text === normalized).length;
+    if (duplicates >= maxDuplicates) {
+      return { reject: "Please don't repeat the same message." };
+    }
+    history.push({ text: normalized, at: now });
+    return undefined;
+  };
+  filter.forget = (userId) => delete recent[userId];
+  return filter;
+}
+
+const LINK_PATTERN =
+  /(https?:\/\/|www\.)\S+|\b[a-z0-9-]+\.(com|net|org|io|gg|ly|me|co|xyz|ru|info|biz)\b/i;
+
+function createLinkFilter({
+  appliesTo = (message) => message.kind === "public",
+}) {
+  return (message) => {
+    if (!appliesTo(message) || !LINK_PATTERN.test(message.text)) {
+      return undefined;
+    }
+    return { reject: "Links are not allowed in public rooms." };
+  };
+}
+
+module.exports = {
+  readWordList,
+  createWordFilter,
+  createFloodFilter,
+  createLinkFilter,
+};
@@ -0,0 +1,52 @@
+const fs = require("fs");
+const path = require("path");
+
+// A filter is a function `(message) => result` where `message` is
+//   { text, userId, room, kind: "public"|"private"|"game", now }
+// and `result` is one of
+//   undefined            -> pass the message on unchanged
+//   { text }             -> pass a rewritten text to the next filter
+//   { reject: "reason" } -> drop the message and tell the sender why
+// Filters may also carry a `forget(userId)` method to drop per-user state.
+function createMessagePipeline() {
+  const filters = [];
+  return {
+    use(filter) {
+      filters.push(filter);
+      return this;
+    },
+    run(message) {
+      let text = message.text;
+      for (const filter of filters) {
+        const result = filter({ ...message, text });
+        if (!result) continue;
+        if (result.reject) return { ok: false, reason: result.reject };
+        if (typeof result.text === "string") text = result.text;
+      }
+      return { ok: true, text };
+    },
+    forget(userId) {
+      filters.forEach((filter) => filter.forget && filter.forget(userId));
+    },
+  };
+}
+
+// Custom filters: every .js file in `directory` exporting a filter function
+// is appended to the pipeline at startup.
+function loadCustomFilters(pipeline, directory) {
+  if (!fs.existsSync(directory)) return;
+  fs.readdirSync(directory)
+    .filter((file) => file.endsWith(".js"))
+    .sort()
+    .forEach((file) => {
+      const filter = require(path.join(directory, file));
+      if (typeof filter !== "function") {
+        console.error(`[Filters] ${file} does not export a filter function.`);
+        return;
+      }
+      pipeline.use(filter);
+      console.log(`[Filters] Loaded custom filter ${file}`);
+    });
+}
+
+module.exports = { createMessagePipeline, loadCustomFilters };
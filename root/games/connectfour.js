@@ -0,0 +1,10 @@
+const { createGridGame } = require("./grid");
+
+module.exports = createGridGame({
+  type: "connectfour",
+  name: "Connect Four",
+  rows: 6,
+  columns: 7,
+  winLength: 4,
+  gravity: true,
+});
@@ -0,0 +1,436 @@
+const {
+  CANVAS_SIZE,
+  normalizeSegment,
+  addSegment,
+  serializeStroke,
+} = require("./strokes");
+
+const WORDS = [
+  "apple",
+  "banana",
+  "car",
+  "house",
+  "tree",
+  "star",
+  "sun",
+  "moon",
+  "dog",
+  "cat",
+  "guitar",
+  "pizza",
+  "mountain",
+  "river",
+  "bridge",
+  "flower",
+  "bird",
+  "fish",
+  "clock",
+  "key",
+  "boat",
+  "book",
+  "chair",
+  "hat",
+  "shoe",
+  "glasses",
+  "bicycle",
+  "camera",
+  "computer",
+  "earth",
+];
+const ROUND_TIME = 60 * 1000;
+const CHOOSE_TIME = 10 * 1000;
+const NEXT_ROUND_DELAY = 3000;
+const WORD_CHOICES = 3;
+const DEFAULT_TARGET_SCORE = 500;
+const MIN_TARGET_SCORE = 50;
+const MAX_TARGET_SCORE = 5000;
+const MAX_CUSTOM_WORDS = 500;
+// A guess is worth MAX_GUESS_POINTS at the start of the round, decaying
+// linearly to MIN_GUESS_POINTS at the buzzer. The drawer earns half of
+// every correct guess.
+const MAX_GUESS_POINTS = 100;
+const MIN_GUESS_POINTS = 10;
+// Drawers batch their points; more batches than this per second are dropped.
+const MAX_DRAW_BATCHES_PER_SECOND = 30;
+
+// Words with spaces keep them visible; every other character starts hidden.
+function getHint(word, revealed) {
+  return word
+    .split("")
+    .map((char, i) => (char === " " || revealed.includes(i) ? char : "_"))
+    .join("");
+}
+
+// Roughly one letter in three is revealed, spread evenly over the round.
+function getHintCount(word) {
+  return Math.floor(word.replace(/ /g, "").length / 3);
+}
+
+// Rooms restored from older snapshots may predate settings.
+function getSettings(settings) {
+  return { targetScore: DEFAULT_TARGET_SCORE, words: null, ...settings };
+}
+
+function getGuessers(game) {
+  const { room, state } = game;
+  return room.players.filter((p) => p.id !== state.drawer.id);
+}
+
+function startRound(game) {
+  const { room, state } = game;
+  if (!state || !room || room.players.length < doodle.minPlayers) {
+    if (state) state.isRoundActive = false;
+    game.setInProgress(false);
+    game.emit("game:end", "Not enough players. Waiting for more...");
+    game.broadcastState();
+    return;
+  }
+  const words = getSettings(room.settings).words || WORDS;
+  state.drawingHistory = [];
+  state.players = room.players.map((p) => p.id);
+  state.currentPlayerIndex =
+    (state.currentPlayerIndex + 1) % state.players.length;
+  const drawerId = state.players[state.currentPlayerIndex];
+  const drawerUser = game.getUser(drawerId);
+  if (!drawerUser) {
+    console.log(`Could not find drawer user for id ${drawerId}, skipping.`);
+    startRound(game);
+    return;
+  }
+  let availableWords = words.filter((word) => !state.usedWords.has(word));
+  if (availableWords.length < WORD_CHOICES) {
+    state.usedWords.clear();
+    availableWords = words;
+  }
+  const wordChoices = [];
+  while (wordChoices.length < Math.min(WORD_CHOICES, availableWords.length)) {
+    const word =
+      availableWords[Math.floor(Math.random() * availableWords.length)];
+    if (!wordChoices.includes(word)) wordChoices.push(word);
+  }
+  Object.assign(state, {
+    drawer: drawerUser,
+    phase: "choosing",
+    wordChoices,
+    word: null,
+    hint: null,
+    revealed: [],
+    guessedPlayers: [],
+    roundEndTime: null,
+    isRoundActive: true,
+  });
+  game.emit("game:new_round");
+  game.broadcastState();
+  game.emitTo(drawerId, "game:word_choices", wordChoices);
+  // Drawers who don't pick in time get the first candidate.
+  game.setTimer(
+    "choose",
+    () => beginDrawing(game, wordChoices[0]),
+    CHOOSE_TIME
+  );
+}
+
+function beginDrawing(game, word) {
+  const { state } = game;
+  game.clearTimer("choose");
+  state.usedWords.add(word);
+  state.word = word;
+  state.phase = "drawing";
+  state.wordChoices = [];
+  state.hint = getHint(word, []);
+  state.roundEndTime = Date.now() + ROUND_TIME;
+  game.setTimer(
+    "round",
+    () => endRound(game, `Time's up! The word was '${word}'.`),
+    ROUND_TIME
+  );
+  scheduleHint(game);
+  game.broadcastState();
+  game.emitTo(state.drawer.id, "game:word_prompt", word);
+}
+
+function scheduleHint(game) {
+  const { state } = game;
+  const hintCount = getHintCount(state.word);
+  if (state.revealed.length >= hintCount) return;
+  const interval = ROUND_TIME / (hintCount + 1);
+  const nextAt =
+    state.roundEndTime - ROUND_TIME + interval * (state.revealed.length + 1);
+  game.setTimer(
+    "hint",
+    () => {
+      const hidden = Array.from(state.word, (char, i) => i).filter(
+        (i) => state.word[i] !== " " && !state.revealed.includes(i)
+      );
+      state.revealed.push(hidden[Math.floor(Math.random() * hidden.length)]);
+      state.hint = getHint(state.word, state.revealed);
+      game.emit("game:hint", { hint: state.hint });
+      scheduleHint(game);
+    },
+    Math.max(0, nextAt - Date.now())
+  );
+}
+
+function endRound(game, message) {
+  const { state } = game;
+  ["choose", "round", "hint"].forEach((name) => game.clearTimer(name));
+  state.isRoundActive = false;
+  state.phase = null;
+  game.emit("game:message", message);
+  const winnerId = Object.keys(state.scores).find(
+    (id) => state.scores[id] >= getSettings(game.room.settings).targetScore
+  );
+  if (winnerId && game.getUser(winnerId)) {
+    game.emit("game:over", {
+      winner: game.getUser(winnerId),
+      scores: { ...state.scores },
+    });
+    game.close();
+    return;
+  }
+  game.broadcastState();
+  game.setTimer("nextRound", () => startRound(game), NEXT_ROUND_DELAY);
+}
+
+function endRoundIfEveryoneGuessed(game) {
+  const { state } = game;
+  const guessers = getGuessers(game);
+  if (guessers.every((p) => state.guessedPlayers.includes(p.id))) {
+    endRound(game, `Everyone guessed it! The word was '${state.word}'.`);
+  }
+}
+
+function handleGuess(game, userId, text) {
+  const { state } = game;
+  if (userId === state.drawer.id) {
+    game.notify(userId, "You cannot chat while drawing.");
+    return true;
+  }
+  // Players who already have the word could give it away in chat.
+  if (state.guessedPlayers.includes(userId)) {
+    game.notify(userId, "You already guessed the word.");
+    return true;
+  }
+  if (text.trim().toLowerCase() !== state.word.toLowerCase()) return false;
+  const remaining = Math.max(0, state.roundEndTime - Date.now());
+  const points = Math.max(
+    MIN_GUESS_POINTS,
+    Math.round((MAX_GUESS_POINTS * remaining) / ROUND_TIME)
+  );
+  state.guessedPlayers.push(userId);
+  state.scores[userId] = (state.scores[userId] || 0) + points;
+  const drawerId = state.drawer.id;
+  if (game.getUser(drawerId)) {
+    state.scores[drawerId] =
+      (state.scores[drawerId] || 0) + Math.round(points / 2);
+  }
+  game.emit("game:correct_guess", { guesser: game.getUser(userId), points });
+  game.emitTo(userId, "game:word_prompt", state.word);
+  game.broadcastState();
+  endRoundIfEveryoneGuessed(game);
+  return true;
+}
+
+function isDrawingTooFast(state) {
+  const now = Date.now();
+  if (!state.drawRate || now - state.drawRate.start >= 1000) {
+    state.drawRate = { start: now, count: 0 };
+  }
+  state.drawRate.count++;
+  return state.drawRate.count > MAX_DRAW_BATCHES_PER_SECOND;
+}
+
+function handleDraw(game, userId, data) {
+  const { state } = game;
+  const segment = normalizeSegment(data);
+  if (!segment) {
+    game.notify(userId, "That stroke could not be drawn.");
+    return;
+  }
+  if (isDrawingTooFast(state)) return;
+  const error = addSegment(state.drawingHistory, segment);
+  if (error) {
+    game.notify(userId, error);
+    return;
+  }
+  game.emitExcept(userId, "game:draw", serializeStroke(segment));
+}
+
+// Undo removes the drawer's latest stroke, whole, for everyone.
+function handleUndo(game) {
+  const stroke = game.state.drawingHistory.pop();
+  if (stroke) game.emit("game:undo", { id: stroke.id });
+}
+
+function parseWordList(words) {
+  const list = Array.isArray(words)
+    ? words
+    : typeof words === "string"
+    ? words.split(/[,\n]/)
+    : [];
+  const cleaned = list
+    .filter((word) => typeof word === "string")
+    .map((word) => word.trim().toLowerCase().replace(/\s+/g, " "))
+    .filter((word) => /^[a-z][a-z ]{0,29}$/.test(word));
+  return [...new Set(cleaned)].slice(0, MAX_CUSTOM_WORDS);
+}
+
+const doodle = {
+  type: "doodle",
+  name: "Doodle Dash",
+  minPlayers: 2,
+  maxPlayers: 12,
+  options: {
+    targetScore: {
+      min: MIN_TARGET_SCORE,
+      max: MAX_TARGET_SCORE,
+      default: DEFAULT_TARGET_SCORE,
+    },
+    minCustomWords: WORD_CHOICES,
+    canvasSize: CANVAS_SIZE,
+  },
+
+  createSettings({ words, targetScore }) {
+    const settings = { targetScore: DEFAULT_TARGET_SCORE, words: null };
+    if (targetScore !== undefined) {
+      const score = Number(targetScore);
+      if (
+        !Number.isInteger(score) ||
+        score < MIN_TARGET_SCORE ||
+        score > MAX_TARGET_SCORE
+      ) {
+        return {
+          error: `Target score must be between ${MIN_TARGET_SCORE} and ${MAX_TARGET_SCORE}.`,
+        };
+      }
+      settings.targetScore = score;
+    }
+    if (words !== undefined) {
+      const list = parseWordList(words);
+      if (list.length < WORD_CHOICES) {
+        return {
+          error: `A custom word list needs at least ${WORD_CHOICES} words (letters and spaces only).`,
+        };
+      }
+      settings.words = list;
+    }
+    return { settings };
+  },
+
+  // Custom words are the answers, so clients only learn how many there are.
+  describeSettings(settings) {
+    const { targetScore, words } = getSettings(settings);
+    return { targetScore, customWordCount: words ? words.length : 0 };
+  },
+
+  start(game) {
+    const scores = {};
+    game.room.players.forEach((p) => (scores[p.id] = 0));
+    game.state = {
+      gameType: "doodle",
+      players: game.room.players.map((p) => p.id),
+      scores,
+      isRoundActive: false,
+      currentPlayerIndex: -1,
+      drawingHistory: [],
+      usedWords: new Set(),
+    };
+    startRound(game);
+  },
+
+  handleAction(game, userId, action, data) {
+    const { state } = game;
+    if (!state.isRoundActive) return false;
+    const isDrawer = userId === state.drawer.id;
+    if (action === "choose_word") {
+      if (!isDrawer || state.phase !== "choosing") return false;
+      const word =
+        state.wordChoices[Number(data && data.index)] ||
+        state.wordChoices.find((choice) => choice === (data && data.word));
+      if (!word) {
+        game.notify(userId, "Pick one of the offered words.");
+        return true;
+      }
+      beginDrawing(game, word);
+      return true;
+    }
+    if (state.phase !== "drawing") return false;
+    switch (action) {
+      case "chat":
+        return handleGuess(game, userId, data.text);
+      case "draw":
+        if (!isDrawer) return false;
+        handleDraw(game, userId, data);
+        return true;
+      case "undo":
+        if (!isDrawer) return false;
+        handleUndo(game);
+        return true;
+      case "clear_canvas":
+        if (!isDrawer) return false;
+        state.drawingHistory = [];
+        game.emit("game:clear_canvas");
+        return true;
+      default:
+        return false;
+    }
+  },
+
+  playerLeave(game, userId) {
+    const { state } = game;
+    if (!state.isRoundActive) return;
+    if (state.drawer.id === userId) {
+      ["choose", "round", "hint"].forEach((name) => game.clearTimer(name));
+      game.emit("game:message", "The drawer left. Starting a new round.");
+      startRound(game);
+      return;
+    }
+    state.guessedPlayers = state.guessedPlayers.filter((id) => id !== userId);
+    if (state.phase === "drawing") endRoundIfEveryoneGuessed(game);
+  },
+
+  // Only the drawer and players who already guessed it see the word;
+  // spectators get the hint like everyone else.
+  serialize(state, viewer) {
+    const isDrawer = !!state.drawer && state.drawer.id === viewer.userId;
+    const knowsWord =
+      viewer.role === "player" &&
+      (isDrawer || (state.guessedPlayers || []).includes(viewer.userId));
+    return {
+      gameType: "doodle",
+      drawer: state.drawer,
+      phase: state.phase,
+      isRoundActive: state.isRoundActive,
+      scores: state.scores,
+      roundEndTime: state.roundEndTime,
+      hint: state.hint,
+      guessedPlayers: state.guessedPlayers,
+      word: knowsWord ? state.word : null,
+      wordChoices:
+        isDrawer && state.phase === "choosing" ? state.wordChoices : [],
+    };
+  },
+
+  end() {},
+
+  resync(game, userId) {
+    const { state } = game;
+    if (!state.isRoundActive) return;
+    if (state.phase === "choosing") {
+      if (state.drawer.id === userId) {
+        game.emitTo(userId, "game:word_choices", state.wordChoices);
+      }
+      return;
+    }
+    game.emitTo(
+      userId,
+      "game:drawing_history",
+      state.drawingHistory.map(serializeStroke)
+    );
+    if (state.drawer.id === userId || state.guessedPlayers.includes(userId)) {
+      game.emitTo(userId, "game:word_prompt", state.word);
+    }
+  },
+};
+
+module.exports = doodle;
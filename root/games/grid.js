@@ -0,0 +1,201 @@
+// Shared rules for two-player "get N in a row" board games. With `gravity`
+// a move names only a column and the piece drops to the lowest free row
+// (Connect Four); without it a move names the exact cell (Tic-Tac-Toe).
+const TURN_TIME = 20 * 1000;
+const DIRECTIONS = [
+  [0, 1],
+  [1, 0],
+  [1, 1],
+  [1, -1],
+];
+
+function createGridGame({ type, name, rows, columns, winLength, gravity }) {
+  const isOnBoard = (row, column) =>
+    Number.isInteger(row) &&
+    Number.isInteger(column) &&
+    row >= 0 &&
+    row < rows &&
+    column >= 0 &&
+    column < columns;
+
+  // The cells of a winning line through (row, column), or null.
+  function findWinningLine(board, row, column) {
+    const owner = board[row][column];
+    for (const [dRow, dColumn] of DIRECTIONS) {
+      const line = [[row, column]];
+      for (const sign of [1, -1]) {
+        let r = row + dRow * sign;
+        let c = column + dColumn * sign;
+        while (isOnBoard(r, c) && board[r][c] === owner) {
+          line.push([r, c]);
+          r += dRow * sign;
+          c += dColumn * sign;
+        }
+      }
+      if (line.length >= winLength) return line;
+    }
+    return null;
+  }
+
+  function startRound(game) {
+    const { room, state } = game;
+    if (!room || !state || room.players.length < 2) {
+      game.setInProgress(false);
+      game.emit("game:end", "Not enough players. Game over.");
+      return;
+    }
+    state.players = room.players.map((p) => p.id);
+    Object.assign(state, {
+      board: Array.from({ length: rows }, () => Array(columns).fill(null)),
+      currentPlayerTurn: state.players[state.firstPlayerIndex],
+      isRoundActive: true,
+      winner: null,
+      winningLine: null,
+      isDraw: false,
+      lastMove: null,
+      rematchVotes: [],
+    });
+    game.emit("game:new_round");
+    setTurnTimer(game);
+  }
+
+  function setTurnTimer(game) {
+    const { state } = game;
+    state.turnEndTime = Date.now() + TURN_TIME;
+    game.setTimer("turn", () => handleTimeout(game), TURN_TIME);
+    game.broadcastState();
+  }
+
+  function endRound(game, winnerId, winningLine) {
+    const { state } = game;
+    game.clearTimer("turn");
+    const winner = winnerId ? game.getUser(winnerId) : null;
+    state.isRoundActive = false;
+    state.winner = winner || null;
+    state.winningLine = winningLine;
+    state.isDraw = !winnerId;
+    if (winnerId) state.scores[winnerId] = (state.scores[winnerId] || 0) + 1;
+    game.emit(
+      "game:message",
+      winnerId
+        ? `🎉 ${winner ? winner.name : "A player"} wins!`
+        : "It's a draw!"
+    );
+    game.broadcastState();
+  }
+
+  function handleTimeout(game) {
+    const { state } = game;
+    if (!state || !state.isRoundActive) return;
+    const timedOutPlayer = game.getUser(state.currentPlayerTurn);
+    game.announce(
+      `${timedOutPlayer ? timedOutPlayer.name : "Player"} ran out of time.`
+    );
+    endRound(
+      game,
+      state.players.find((id) => id !== state.currentPlayerTurn),
+      null
+    );
+  }
+
+  function handleMove(game, userId, data) {
+    const { state } = game;
+    if (userId !== state.currentPlayerTurn) {
+      game.notify(userId, "It's not your turn.");
+      return;
+    }
+    const column = Number(data && data.column);
+    let row = gravity ? rows - 1 : Number(data && data.row);
+    if (gravity) {
+      while (row >= 0 && isOnBoard(row, column) && state.board[row][column]) {
+        row--;
+      }
+    }
+    if (!isOnBoard(row, column)) {
+      game.notify(
+        userId,
+        gravity && Number.isInteger(column) && column >= 0 && column < columns
+          ? "That column is full."
+          : "That move is off the board."
+      );
+      return;
+    }
+    if (state.board[row][column]) {
+      game.notify(userId, "That square is already taken.");
+      return;
+    }
+    state.board[row][column] = userId;
+    state.lastMove = { row, column, playerId: userId };
+    const winningLine = findWinningLine(state.board, row, column);
+    if (winningLine) {
+      endRound(game, userId, winningLine);
+    } else if (state.board.every((cells) => cells.every(Boolean))) {
+      endRound(game, null, null);
+    } else {
+      state.currentPlayerTurn = state.players.find((id) => id !== userId);
+      setTurnTimer(game);
+    }
+  }
+
+  // Both players must vote; the player who moved second goes first next.
+  function handleRematch(game, userId) {
+    const { state } = game;
+    if (state.rematchVotes.includes(userId)) return;
+    state.rematchVotes = [...state.rematchVotes, userId];
+    game.emit("game:rematch_vote", { userId, votes: state.rematchVotes });
+    if (state.players.every((id) => state.rematchVotes.includes(id))) {
+      state.firstPlayerIndex = 1 - state.firstPlayerIndex;
+      startRound(game);
+    }
+  }
+
+  return {
+    type,
+    name,
+    minPlayers: 2,
+    maxPlayers: 2,
+
+    start(game) {
+      const scores = {};
+      game.room.players.forEach((p) => (scores[p.id] = 0));
+      game.state = {
+        gameType: type,
+        players: game.room.players.map((p) => p.id),
+        rows,
+        columns,
+        winLength,
+        gravity: !!gravity,
+        scores,
+        firstPlayerIndex: Math.floor(Math.random() * 2),
+        isRoundActive: false,
+      };
+      startRound(game);
+    },
+
+    handleAction(game, userId, action, data) {
+      const { state } = game;
+      if (action === "move" && state.isRoundActive) {
+        handleMove(game, userId, data);
+        return true;
+      }
+      if (action === "rematch" && !state.isRoundActive) {
+        handleRematch(game, userId);
+        return true;
+      }
+      return false;
+    },
+
+    // Rooms close below two players, so a leave only ends the open round.
+    playerLeave(game) {
+      if (game.state.isRoundActive) endRound(game, null, null);
+    },
+
+    serialize(state) {
+      return { ...state };
+    },
+
+    end() {},
+  };
+}
+
+module.exports = { createGridGame };
@@ -0,0 +1,415 @@
+// Word and phrase lists by category. Anything that isn't a letter (spaces,
+// apostrophes, hyphens) is shown from the start and never needs guessing.
+const CATEGORIES = {
+  tech: {
+    name: "Tech",
+    words: [
+      "javascript",
+      "html",
+      "css",
+      "nodejs",
+      "react",
+      "angular",
+      "vue",
+      "typescript",
+      "webpack",
+      "babel",
+      "mongodb",
+      "express",
+      "socketio",
+      "python",
+      "java",
+      "ruby",
+      "docker",
+      "kubernetes",
+      "developer",
+      "programming",
+      "algorithm",
+      "database",
+      "authentication",
+      "framework",
+      "library",
+      "component",
+      "interface",
+      "repository",
+    ],
+  },
+  animals: {
+    name: "Animals",
+    words: [
+      "elephant",
+      "giraffe",
+      "kangaroo",
+      "penguin",
+      "dolphin",
+      "cheetah",
+      "octopus",
+      "crocodile",
+      "butterfly",
+      "hedgehog",
+      "polar bear",
+      "snow leopard",
+      "red panda",
+      "killer whale",
+    ],
+  },
+  countries: {
+    name: "Countries",
+    words: [
+      "nepal",
+      "brazil",
+      "canada",
+      "japan",
+      "kenya",
+      "norway",
+      "argentina",
+      "australia",
+      "portugal",
+      "vietnam",
+      "new zealand",
+      "south africa",
+      "united kingdom",
+      "sri lanka",
+    ],
+  },
+  movies: {
+    name: "Movies",
+    words: [
+      "the lion king",
+      "finding nemo",
+      "star wars",
+      "jurassic park",
+      "back to the future",
+      "the matrix",
+      "toy story",
+      "spirited away",
+      "the dark knight",
+      "forrest gump",
+      "frozen",
+      "inception",
+    ],
+  },
+  sayings: {
+    name: "Sayings",
+    words: [
+      "break the ice",
+      "piece of cake",
+      "under the weather",
+      "once in a blue moon",
+      "hit the sack",
+      "spill the beans",
+      "the early bird catches the worm",
+      "better late than never",
+      "actions speak louder than words",
+      "it's raining cats and dogs",
+      "a blessing in disguise",
+      "time flies",
+    ],
+  },
+};
+const ANY_CATEGORY = "any";
+const TURN_TIME = 20 * 1000;
+const NEXT_ROUND_DELAY = 5000;
+const MAX_MISTAKES = 6;
+// A wrong full-word guess costs this many lives instead of one.
+const WRONG_WORD_PENALTY = 2;
+// One point per revealed letter, plus a bonus for whoever solves it.
+const SOLVE_BONUS = 5;
+
+const isLetter = (char) => /^[a-z]$/.test(char);
+// Category ids come from clients, so inherited keys like "constructor" must
+// miss.
+const hasCategory = (id) =>
+  Object.prototype.hasOwnProperty.call(CATEGORIES, id);
+
+function getDisplayWord(word, correctGuesses) {
+  return word
+    .split("")
+    .map((char) =>
+      !isLetter(char) || correctGuesses.includes(char) ? char : "_"
+    );
+}
+
+function pickWord(category) {
+  const categoryIds =
+    category === ANY_CATEGORY ? Object.keys(CATEGORIES) : [category];
+  const categoryId =
+    categoryIds[Math.floor(Math.random() * categoryIds.length)];
+  const { words } = CATEGORIES[categoryId];
+  return {
+    categoryId,
+    word: words[Math.floor(Math.random() * words.length)],
+  };
+}
+
+function startRound(game) {
+  const { room, state } = game;
+  if (!room || !state || room.players.length < hangman.minPlayers) {
+    game.setInProgress(false);
+    game.emit("game:end", "Not enough players. Game over.");
+    return;
+  }
+  const { categoryId, word } = pickWord(
+    (room.settings && room.settings.category) || ANY_CATEGORY
+  );
+  const playerCount = room.players.length;
+  const starterIndex =
+    typeof state.nextStarterIndex === "number"
+      ? state.nextStarterIndex % playerCount
+      : Math.floor(Math.random() * playerCount);
+  state.players = room.players.map((p) => p.id);
+  Object.assign(state, {
+    word,
+    category: CATEGORIES[categoryId].name,
+    displayWord: getDisplayWord(word, []),
+    incorrectGuesses: [],
+    correctGuesses: [],
+    incorrectWords: [],
+    mistakes: 0,
+    maxMistakes: MAX_MISTAKES,
+    isRoundActive: true,
+    isGameOver: false,
+    winner: null,
+    starterIndex,
+    currentPlayerIndex: starterIndex,
+    currentPlayerTurn: room.players[starterIndex].id,
+  });
+  game.emit("game:new_round");
+  setTurnTimer(game);
+}
+
+function passTurn(game) {
+  const { room, state } = game;
+  state.currentPlayerIndex =
+    (state.currentPlayerIndex + 1) % room.players.length;
+  state.currentPlayerTurn = room.players[state.currentPlayerIndex].id;
+}
+
+function setTurnTimer(game) {
+  const { state } = game;
+  if (!state || !state.isRoundActive) return;
+  state.turnEndTime = Date.now() + TURN_TIME;
+  game.setTimer("turn", () => handleTimeout(game), TURN_TIME);
+  game.broadcastState();
+}
+
+function addScore(state, userId, points) {
+  state.scores[userId] = (state.scores[userId] || 0) + points;
+}
+
+// The solver's next neighbour starts the next round; after a loss the
+// turn order simply moves on by one.
+function endRound(game, winner) {
+  const { room, state } = game;
+  game.clearTimer("turn");
+  state.isRoundActive = false;
+  state.isGameOver = true;
+  state.winner = winner || null;
+  state.displayWord = state.word.split("");
+  const winnerIndex = winner
+    ? room.players.findIndex((p) => p.id === winner.id)
+    : -1;
+  state.nextStarterIndex =
+    (winnerIndex >= 0 ? winnerIndex : state.starterIndex) + 1;
+  game.emit(
+    "game:message",
+    winner
+      ? `🎉 ${winner.name} won! The answer was "${state.word}".`
+      : `😥 Game over! The answer was "${state.word}".`
+  );
+  game.setTimer("nextRound", () => startRound(game), NEXT_ROUND_DELAY);
+  game.broadcastState();
+}
+
+// Returns true when the guess used up the last life.
+function loseLives(game, count) {
+  const { state } = game;
+  state.mistakes = Math.min(MAX_MISTAKES, state.mistakes + count);
+  if (state.mistakes < MAX_MISTAKES) return false;
+  endRound(game, null);
+  return true;
+}
+
+function handleLetterGuess(game, user, letter) {
+  const { state } = game;
+  if (!isLetter(letter)) {
+    game.notify(user.id, "Please guess a single letter.");
+    setTurnTimer(game);
+    return;
+  }
+  if (
+    state.correctGuesses.includes(letter) ||
+    state.incorrectGuesses.includes(letter)
+  ) {
+    game.notify(user.id, `You already guessed '${letter}'.`);
+    setTurnTimer(game);
+    return;
+  }
+  const occurrences = state.word.split("").filter((c) => c === letter).length;
+  if (occurrences > 0) {
+    state.correctGuesses.push(letter);
+    state.displayWord = getDisplayWord(state.word, state.correctGuesses);
+    addScore(state, user.id, occurrences);
+    game.announce(
+      `${user.name} guessed a correct letter: ${letter.toUpperCase()}`
+    );
+    if (!state.displayWord.includes("_")) {
+      addScore(state, user.id, SOLVE_BONUS);
+      endRound(game, user);
+      return;
+    }
+    // A correct letter keeps the turn.
+    setTurnTimer(game);
+    return;
+  }
+  state.incorrectGuesses.push(letter);
+  game.announce(
+    `${user.name} guessed an incorrect letter: ${letter.toUpperCase()}`
+  );
+  if (loseLives(game, 1)) return;
+  passTurn(game);
+  setTurnTimer(game);
+}
+
+// Guessing the whole answer is risky: right wins the round, wrong costs
+// WRONG_WORD_PENALTY lives. Wrong guesses are shown to everyone, so they go
+// through the chat filters first; a rejected one doesn't count.
+function handleWordGuess(game, user, guess) {
+  const { state } = game;
+  if (guess === state.word) {
+    const hidden = state.displayWord.filter((c) => c === "_").length;
+    addScore(state, user.id, hidden + SOLVE_BONUS);
+    game.announce(`${user.name} guessed the answer: "${state.word}"`);
+    endRound(game, user);
+    return;
+  }
+  const shown = game.filterText(user.id, guess);
+  if (shown === null) {
+    setTurnTimer(game);
+    return;
+  }
+  state.incorrectWords.push(shown);
+  game.announce(`${user.name} guessed "${shown}" and got it wrong.`);
+  if (loseLives(game, WRONG_WORD_PENALTY)) return;
+  passTurn(game);
+  setTurnTimer(game);
+}
+
+function handleTimeout(game) {
+  const { state } = game;
+  if (!state || !state.isRoundActive) return;
+  const timedOutPlayer = game.getUser(state.currentPlayerTurn);
+  game.announce(
+    `${timedOutPlayer ? timedOutPlayer.name : "Player"}'s turn timed out.`
+  );
+  if (loseLives(game, 1)) return;
+  passTurn(game);
+  setTurnTimer(game);
+}
+
+const hangman = {
+  type: "hangman",
+  name: "Hangman",
+  minPlayers: 2,
+  maxPlayers: 6,
+  options: {
+    categories: [
+      { id: ANY_CATEGORY, name: "Any" },
+      ...Object.keys(CATEGORIES).map((id) => ({
+        id,
+        name: CATEGORIES[id].name,
+      })),
+    ],
+  },
+
+  createSettings({ category }) {
+    const categoryId = category || ANY_CATEGORY;
+    if (categoryId !== ANY_CATEGORY && !hasCategory(categoryId)) {
+      return {
+        error: `Unknown category. Available: ${[
+          ANY_CATEGORY,
+          ...Object.keys(CATEGORIES),
+        ].join(", ")}`,
+      };
+    }
+    return { settings: { category: categoryId } };
+  },
+
+  start(game) {
+    const scores = {};
+    game.room.players.forEach((p) => (scores[p.id] = 0));
+    game.state = {
+      gameType: "hangman",
+      players: game.room.players.map((p) => p.id),
+      scores,
+      isRoundActive: false,
+    };
+    startRound(game);
+  },
+
+  handleAction(game, userId, action, data) {
+    const { state } = game;
+    if (action !== "guess" || !state.isRoundActive) return false;
+    if (userId !== state.currentPlayerTurn) {
+      game.notify(userId, "It's not your turn to guess.");
+      return true;
+    }
+    const guess = data && (data.word || data.letter);
+    const cleaned =
+      typeof guess === "string"
+        ? guess.trim().toLowerCase().replace(/\s+/g, " ")
+        : "";
+    if (cleaned.length > state.word.length) {
+      game.notify(userId, "That guess is longer than the answer.");
+      return true;
+    }
+    game.clearTimer("turn");
+    const user = game.getUser(userId);
+    if (cleaned.length > 1) handleWordGuess(game, user, cleaned);
+    else handleLetterGuess(game, user, cleaned);
+    return true;
+  },
+
+  // The turn order is room.players, so it is re-read after the departure.
+  playerLeave(game, userId) {
+    const { room, state } = game;
+    const leaverIndex = state.players.indexOf(userId);
+    state.players = room.players.map((p) => p.id);
+    if (!state.isRoundActive) return;
+    if (state.currentPlayerTurn === userId) {
+      state.currentPlayerIndex = leaverIndex % room.players.length;
+      state.currentPlayerTurn = room.players[state.currentPlayerIndex].id;
+      setTurnTimer(game);
+      return;
+    }
+    state.currentPlayerIndex = room.players.findIndex(
+      (p) => p.id === state.currentPlayerTurn
+    );
+  },
+
+  // The answer is only included once the round is over, for every viewer.
+  serialize(state) {
+    return {
+      gameType: "hangman",
+      category: state.category,
+      displayWord: state.displayWord,
+      incorrectGuesses: state.incorrectGuesses,
+      correctGuesses: state.correctGuesses,
+      incorrectWords: state.incorrectWords,
+      mistakes: state.mistakes,
+      maxMistakes: state.maxMistakes,
+      scores: state.scores,
+      isRoundActive: state.isRoundActive,
+      isGameOver: state.isGameOver,
+      winner: state.winner,
+      currentPlayerTurn: state.currentPlayerTurn,
+      currentPlayerIndex: state.currentPlayerIndex,
+      turnEndTime: state.turnEndTime,
+      word: state.isRoundActive ? null : state.word,
+    };
+  },
+
+  end() {},
+};
+
+module.exports = hangman;
@@ -0,0 +1,76 @@
+const doodle = require("./doodle");
+const hangman = require("./hangman");
+const tictactoe = require("./tictactoe");
+const connectfour = require("./connectfour");
+const trivia = require("./trivia");
+
+// A game module is a plain object:
+//   type, name              -> registry key and the name shown to players
+//   minPlayers, maxPlayers  -> enforced on join, start and leave
+//   start(game)             -> set game.state and begin the first round
+//   handleAction(game, userId, action, data)
+//                           -> returns true when the action was consumed.
+//                              Chat in the room arrives as a "chat" action;
+//                              unconsumed chat is posted as a normal message.
+//   playerLeave(game, userId) -> a player left a game that keeps running
+//   serialize(state, viewer) -> the state sent to one client in game:state.
+//                              viewer is { userId, role, isHost } with role
+//                              "player" or "spectator"; called once per
+//                              recipient, so hidden fields can depend on who
+//                              is asking
+//   end(game)               -> the game is being torn down
+//   resync(game, userId)    -> optional; catch a (re)joining player up
+//   createSettings(options) -> optional; validates the host's game:create
+//                              options into { settings } (kept on the room
+//                              as room.settings) or returns { error }
+//   describeSettings(settings)
+//                           -> optional; the part of room.settings clients
+//                              may see (defaults to all of it)
+//   options                 -> optional; what clients may pick, listed in
+//                              game:types
+// `game` is the per-room context built in server.js. It exposes roomId,
+// room, state, emit helpers, named timers that are cleared on end and
+// filterText(userId, text) for player text that is echoed outside chat.
+const REQUIRED_HOOKS = [
+  "start",
+  "handleAction",
+  "playerLeave",
+  "serialize",
+  "end",
+];
+
+function createGameRegistry() {
+  const games = {};
+  return {
+    register(game) {
+      const missing = REQUIRED_HOOKS.filter(
+        (hook) => typeof game[hook] !== "function"
+      );
+      if (!game.type || missing.length > 0) {
+        throw new Error(
+          `Game "${game.type}" is missing: ${missing.join(", ") || "type"}`
+        );
+      }
+      games[game.type] = game;
+      return this;
+    },
+    get(type) {
+      return Object.prototype.hasOwnProperty.call(games, type)
+        ? games[type]
+        : null;
+    },
+    list() {
+      return Object.values(games).map((game) => ({
+        type: game.type,
+        name: game.name,
+        minPlayers: game.minPlayers,
+        maxPlayers: game.maxPlayers,
+        options: game.options || null,
+      }));
+    },
+  };
+}
+
+const builtinGames = [doodle, hangman, tictactoe, connectfour, trivia];
+
+module.exports = { createGameRegistry, builtinGames };
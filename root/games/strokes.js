@@ -0,0 +1,111 @@
+// Doodle Dash canvas strokes. Clients draw on a CANVAS_SIZE x CANVAS_SIZE
+// grid and send each stroke in batches ("segments") as it is drawn:
+//   { id, tool: "pen" | "eraser", color: "#rrggbb", width, points }
+// points is a flat list of integers [x, y, dx, dy, dx, dy, ...]: the first
+// pair is absolute, every following pair is the offset from the previous
+// point. Segments sharing an id extend the same stroke.
+const CANVAS_SIZE = 1000;
+const TOOLS = ["pen", "eraser"];
+const MIN_WIDTH = 1;
+const MAX_WIDTH = 50;
+const MAX_SEGMENT_POINTS = 200;
+const MAX_STROKE_POINTS = 5000;
+const MAX_STROKES = 500;
+const MAX_TOTAL_POINTS = 50000;
+
+const isCoordinate = (n) => Number.isInteger(n) && n >= 0 && n <= CANVAS_SIZE;
+
+// Returns the segment in canonical form, or null when it breaks the schema.
+function normalizeSegment(data) {
+  if (!data || typeof data !== "object") return null;
+  const { id, tool, color, width, points } = data;
+  if (typeof id !== "string" || !/^[\w-]{1,32}$/.test(id)) return null;
+  if (!TOOLS.includes(tool)) return null;
+  if (typeof color !== "string" || !/^#[0-9a-f]{6}$/i.test(color)) return null;
+  if (!Number.isInteger(width) || width < MIN_WIDTH || width > MAX_WIDTH) {
+    return null;
+  }
+  if (
+    !Array.isArray(points) ||
+    points.length < 2 ||
+    points.length % 2 !== 0 ||
+    points.length / 2 > MAX_SEGMENT_POINTS
+  ) {
+    return null;
+  }
+  // Walk the deltas so every point is checked against the canvas bounds.
+  let x = points[0];
+  let y = points[1];
+  if (!isCoordinate(x) || !isCoordinate(y)) return null;
+  for (let i = 2; i < points.length; i += 2) {
+    x += points[i];
+    y += points[i + 1];
+    if (!isCoordinate(x) || !isCoordinate(y)) return null;
+  }
+  return {
+    id,
+    tool,
+    color: color.toLowerCase(),
+    width,
+    points: points.slice(),
+    end: [x, y],
+  };
+}
+
+function getTotalPoints(strokes) {
+  return strokes.reduce((total, stroke) => total + stroke.pointCount, 0);
+}
+
+// Adds a segment to the history. A known id may only continue the latest
+// stroke; its points are merged into that stroke's delta list so replays
+// stay compact. Returns an error message, or null on success.
+function addSegment(strokes, segment) {
+  const pointCount = segment.points.length / 2;
+  if (getTotalPoints(strokes) + pointCount > MAX_TOTAL_POINTS) {
+    return "The canvas is full. Clear it to keep drawing.";
+  }
+  const last = strokes[strokes.length - 1];
+  if (last && last.id === segment.id) {
+    if (last.pointCount + pointCount > MAX_STROKE_POINTS) {
+      return "That stroke is too long.";
+    }
+    const [x, y] = segment.points;
+    last.points.push(
+      x - last.end[0],
+      y - last.end[1],
+      ...segment.points.slice(2)
+    );
+    last.pointCount += pointCount;
+    last.end = segment.end;
+    return null;
+  }
+  if (strokes.some((stroke) => stroke.id === segment.id)) {
+    return "That stroke is already finished.";
+  }
+  if (strokes.length >= MAX_STROKES) {
+    return "The canvas is full. Clear it to keep drawing.";
+  }
+  strokes.push({
+    id: segment.id,
+    tool: segment.tool,
+    color: segment.color,
+    width: segment.width,
+    points: segment.points.slice(),
+    pointCount,
+    end: segment.end,
+  });
+  return null;
+}
+
+// What is sent over the wire: the relay of one segment, or a whole stroke
+// in the replay. Both use the same shape.
+function serializeStroke({ id, tool, color, width, points }) {
+  return { id, tool, color, width, points };
+}
+
+module.exports = {
+  CANVAS_SIZE,
+  normalizeSegment,
+  addSegment,
+  serializeStroke,
+};
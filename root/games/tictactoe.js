@@ -0,0 +1,10 @@
+const { createGridGame } = require("./grid");
+
+module.exports = createGridGame({
+  type: "tictactoe",
+  name: "Tic-Tac-Toe",
+  rows: 3,
+  columns: 3,
+  winLength: 3,
+  gravity: false,
+});
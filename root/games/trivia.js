@@ -0,0 +1,241 @@
+const fs = require("fs");
+const path = require("path");
+
+// Question packs are JSON files in TRIVIA_PACKS_DIR (games/trivia-packs by
+// default), named after their pack id:
+//   { "name": "...", "questions": [{ "question", "choices": [...], "answer": index }] }
+const PACKS_DIR =
+  process.env.TRIVIA_PACKS_DIR || path.join(__dirname, "trivia-packs");
+const QUESTION_TIME = 15 * 1000;
+const REVEAL_TIME = 5000;
+const DEFAULT_QUESTION_COUNT = 10;
+// Correct answers earn BASE_POINTS plus up to SPEED_POINTS for answering fast.
+const BASE_POINTS = 500;
+const SPEED_POINTS = 500;
+
+function isValidQuestion(q) {
+  return (
+    q &&
+    typeof q.question === "string" &&
+    Array.isArray(q.choices) &&
+    q.choices.length >= 2 &&
+    q.choices.every((choice) => typeof choice === "string") &&
+    Number.isInteger(q.answer) &&
+    q.answer >= 0 &&
+    q.answer < q.choices.length
+  );
+}
+
+function loadPacks(directory) {
+  const packs = {};
+  if (!fs.existsSync(directory)) return packs;
+  fs.readdirSync(directory)
+    .filter((file) => file.endsWith(".json"))
+    .sort()
+    .forEach((file) => {
+      const id = path.basename(file, ".json");
+      try {
+        const pack = JSON.parse(
+          fs.readFileSync(path.join(directory, file), "utf8")
+        );
+        const questions = (pack.questions || []).filter(isValidQuestion);
+        if (questions.length === 0) throw new Error("no valid questions");
+        packs[id] = { id, name: pack.name || id, questions };
+      } catch (err) {
+        console.error(`[Trivia] Skipping pack ${file}: ${err.message}`);
+      }
+    });
+  return packs;
+}
+
+const packs = loadPacks(PACKS_DIR);
+
+// Pack ids come from clients, so inherited keys like "toString" must miss.
+const hasPack = (id) => Object.prototype.hasOwnProperty.call(packs, id);
+
+function shuffle(items) {
+  const shuffled = [...items];
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+  return shuffled;
+}
+
+function getPublicQuestion(state) {
+  const { question, choices } = state.questions[state.questionIndex];
+  return {
+    index: state.questionIndex,
+    total: state.questions.length,
+    question,
+    choices,
+    endsAt: state.questionEndTime,
+  };
+}
+
+function nextQuestion(game) {
+  const { state } = game;
+  if (!state) return;
+  state.questionIndex++;
+  if (state.questionIndex >= state.questions.length) {
+    finishGame(game);
+    return;
+  }
+  state.answers = {};
+  state.isRoundActive = true;
+  state.questionEndTime = Date.now() + QUESTION_TIME;
+  game.emit("trivia:question", getPublicQuestion(state));
+  game.setTimer("question", () => reveal(game), QUESTION_TIME);
+  game.broadcastState();
+}
+
+function reveal(game) {
+  const { state } = game;
+  if (!state || !state.isRoundActive) return;
+  game.clearTimer("question");
+  const current = state.questions[state.questionIndex];
+  const distribution = current.choices.map(() => 0);
+  const results = {};
+  for (const userId in state.answers) {
+    const { choice, at } = state.answers[userId];
+    distribution[choice]++;
+    const correct = choice === current.answer;
+    const remaining = Math.max(0, state.questionEndTime - at);
+    const points = correct
+      ? BASE_POINTS + Math.round((SPEED_POINTS * remaining) / QUESTION_TIME)
+      : 0;
+    state.scores[userId] = (state.scores[userId] || 0) + points;
+    results[userId] = { choice, correct, points };
+  }
+  state.isRoundActive = false;
+  state.lastReveal = {
+    index: state.questionIndex,
+    answer: current.answer,
+    distribution,
+    results,
+  };
+  game.emit("trivia:reveal", { ...state.lastReveal, scores: state.scores });
+  game.broadcastState();
+  game.setTimer("next", () => nextQuestion(game), REVEAL_TIME);
+}
+
+// Back to the lobby; the host can start another quiz from there.
+function finishGame(game) {
+  const { state } = game;
+  state.isRoundActive = false;
+  state.isGameOver = true;
+  const ranking = Object.keys(state.scores).sort(
+    (a, b) => state.scores[b] - state.scores[a]
+  );
+  const winner = ranking.length > 0 ? game.getUser(ranking[0]) : null;
+  game.emit("game:over", { winner: winner || null, scores: state.scores });
+  game.setInProgress(false);
+  game.broadcastState();
+}
+
+const trivia = {
+  type: "trivia",
+  name: "Trivia",
+  minPlayers: 2,
+  maxPlayers: 12,
+  options: {
+    packs: Object.values(packs).map((pack) => ({
+      id: pack.id,
+      name: pack.name,
+      questionCount: pack.questions.length,
+    })),
+    defaultQuestionCount: DEFAULT_QUESTION_COUNT,
+  },
+
+  createSettings({ pack, questionCount }) {
+    const packIds = Object.keys(packs);
+    const packId = pack || packIds[0];
+    if (!hasPack(packId)) {
+      return {
+        error: `Unknown trivia pack. Available: ${packIds.join(", ")}`,
+      };
+    }
+    const available = packs[packId].questions.length;
+    const count = Number(questionCount) || DEFAULT_QUESTION_COUNT;
+    return {
+      settings: {
+        pack: packId,
+        questionCount: Math.min(Math.max(Math.floor(count), 1), available),
+      },
+    };
+  },
+
+  start(game) {
+    const { pack, questionCount } = game.room.settings;
+    const scores = {};
+    game.room.players.forEach((p) => (scores[p.id] = 0));
+    game.state = {
+      gameType: "trivia",
+      packName: packs[pack].name,
+      players: game.room.players.map((p) => p.id),
+      questions: shuffle(packs[pack].questions).slice(0, questionCount),
+      questionIndex: -1,
+      answers: {},
+      scores,
+      isRoundActive: false,
+      isGameOver: false,
+      lastReveal: null,
+    };
+    nextQuestion(game);
+  },
+
+  handleAction(game, userId, action, data) {
+    const { state } = game;
+    if (action !== "answer") return false;
+    if (!state.isRoundActive || state.answers[userId]) return true;
+    const choice = Number(data && data.choice);
+    const { choices } = state.questions[state.questionIndex];
+    if (!Number.isInteger(choice) || choice < 0 || choice >= choices.length) {
+      game.notify(userId, "Pick one of the listed answers.");
+      return true;
+    }
+    state.answers[userId] = { choice, at: Date.now() };
+    const answeredCount = Object.keys(state.answers).length;
+    game.emit("trivia:answered", { userId, answeredCount });
+    if (game.room.players.every((p) => state.answers[p.id])) reveal(game);
+    return true;
+  },
+
+  playerLeave(game, userId) {
+    const { state } = game;
+    delete state.answers[userId];
+    state.players = state.players.filter((id) => id !== userId);
+    if (game.room.players.every((p) => state.answers[p.id])) reveal(game);
+  },
+
+  // Questions (with their answers) stay server-side until the reveal, and
+  // players only ever see their own pick before it.
+  serialize(state, viewer) {
+    const ownAnswer =
+      viewer.role === "player" ? state.answers[viewer.userId] : null;
+    return {
+      gameType: "trivia",
+      packName: state.packName,
+      isRoundActive: state.isRoundActive,
+      isGameOver: state.isGameOver,
+      scores: state.scores,
+      questionIndex: state.questionIndex,
+      totalQuestions: state.questions.length,
+      question: state.isRoundActive ? getPublicQuestion(state) : null,
+      answeredCount: Object.keys(state.answers).length,
+      myAnswer: ownAnswer ? ownAnswer.choice : null,
+      lastReveal: state.lastReveal,
+    };
+  },
+
+  end() {},
+
+  resync(game, userId) {
+    const { state } = game;
+    if (state.isRoundActive) {
+      game.emitTo(userId, "trivia:question", getPublicQuestion(state));
+    }
+  },
+};
+
+module.exports = trivia;
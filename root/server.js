@@ -3,7 +3,24 @@ const http = require("http");
 const { Server } = require("socket.io");
 const cors = require("cors");
 const path = require("path");
-const { randomUUID } = require("crypto");
+const {
+  randomUUID,
+  randomBytes,
+  createHmac,
+  timingSafeEqual,
+} = require("crypto");
+const { createStorage } = require("./storage");
+const { createPubSub } = require("./cluster/pubsub");
+const { createPubSubAdapter } = require("./cluster/adapter");
+const { createSharedState } = require("./cluster/sharedState");
+const { createMessagePipeline, loadCustomFilters } = require("./filters");
+const { createGameRegistry, builtinGames } = require("./games");
+const {
+  readWordList,
+  createWordFilter,
+  createFloodFilter,
+  createLinkFilter,
+} = require("./filters/builtins");
 
 const app = express();
 const server = http.createServer(app);
@@ -19,103 +36,317 @@ const io = new Server(server, {
   cors: corsOptions,
 });
 
+// --- CLUSTER ---
+// Set CLUSTER_BROKER_URL (e.g. tcp://127.0.0.1:4100, see cluster/broker.js) to
+// run several instances behind a load balancer. Without it the in-process
+// broker has no peers and the server behaves as a single node.
+const NODE_ID = randomBytes(8).toString("hex");
+const pubsub = createPubSub({ url: process.env.CLUSTER_BROKER_URL });
+if (process.env.CLUSTER_BROKER_URL) io.adapter(createPubSubAdapter(pubsub));
+const shared = createSharedState(pubsub, NODE_ID);
+
+// --- STORAGE ---
+// STORAGE_DRIVER=file (with an optional STORAGE_DIR) keeps channel history,
+// lobbies and accepted private pairs across restarts; the default is
+// in-memory. It needs a fixed SESSION_SECRET so users can resume afterwards.
+const storage = createStorage({
+  driver: process.env.STORAGE_DRIVER,
+  directory: process.env.STORAGE_DIR,
+});
+const STATE_SNAPSHOT_INTERVAL = 5 * 1000;
+
 // --- STATE MANAGEMENT ---
-const users = {};
-const chatHistory = {};
-const messageSenders = {};
-const gameStates = {};
-let activeGameRooms = {};
-const pendingPrivateRequests = {};
-const acceptedChats = new Set();
-const declinedChats = new Set();
+// Shared collections are replicated to every instance. Reassign a value after
+// mutating it in place (`activeGameRooms[id] = room`) so peers see the change.
+const users = shared.map("users");
+const chatHistory = shared.map(
+  "chatHistory",
+  storage.load("chatHistory") || {}
+);
+const messageSenders = shared.map(
+  "messageSenders",
+  storage.load("messageSenders") || {}
+);
+const gameStates = {}; // Local to the room's home instance (room.nodeId).
+const activeGameRooms = shared.map(
+  "activeGameRooms",
+  storage.load("activeGameRooms") || {}
+);
+const pendingPrivateRequests = shared.map("pendingPrivateRequests");
+const acceptedChats = shared.set(
+  "acceptedChats",
+  storage.load("acceptedChats") || []
+);
+const declinedChats = shared.set("declinedChats");
+// Invite-only group rooms: { groupId: { id, name, ownerId, members: [userId], invites: { inviteeId: inviterId } } }
+const groupRooms = shared.map("groupRooms", storage.load("groupRooms") || {});
+const GROUP_MAX_MEMBERS = 10;
+// Per-session block lists; they last as long as the blocker's session.
+const blockLists = shared.map("blockLists"); // { userId: [blockedUserId] }
+const MAX_BLOCKED_USERS = 200;
 
 // --- REVISED CALL STATE MANAGEMENT ---
-const callStates = {}; // { userId: { status: 'idle'|'offering'|'receiving'|'connected', partnerId: '...' } }
-
-// --- GAME CONSTANTS ---
-const DOODLE_WORDS = [
-  "apple",
-  "banana",
-  "car",
-  "house",
-  "tree",
-  "star",
-  "sun",
-  "moon",
-  "dog",
-  "cat",
-  "guitar",
-  "pizza",
-  "mountain",
-  "river",
-  "bridge",
-  "flower",
-  "bird",
-  "fish",
-  "clock",
-  "key",
-  "boat",
-  "book",
-  "chair",
-  "hat",
-  "shoe",
-  "glasses",
-  "bicycle",
-  "camera",
-  "computer",
-  "earth",
-];
-const HANGMAN_WORDS = [
-  "javascript",
-  "html",
-  "css",
-  "nodejs",
-  "react",
-  "angular",
-  "vue",
-  "typescript",
-  "webpack",
-  "babel",
-  "mongodb",
-  "express",
-  "socketio",
-  "python",
-  "java",
-  "ruby",
-  "docker",
-  "kubernetes",
-  "developer",
-  "programming",
-  "algorithm",
-  "database",
-  "authentication",
-  "framework",
-  "library",
-  "component",
-  "interface",
-  "repository",
-];
-const DOODLE_ROUND_TIME = 60 * 1000;
-const HANGMAN_TURN_TIME = 20 * 1000;
-const WINNING_SCORE = 10;
-const MAX_INCORRECT_GUESSES = 6;
+const callStates = shared.map("callStates"); // { userId: { status: 'idle'|'offering'|'receiving'|'connected'|'renegotiating', partnerId: '...', media, pendingMedia } }
+// Media a session says it can send/receive, e.g. ["audio", "video"]. Unset
+// means unknown, in which case no mismatch is reported up front.
+const callCapabilities = shared.map("callCapabilities"); // { userId: [media] }
+const CALL_MEDIA_TYPES = ["audio", "video", "screen"];
+// Unanswered offers are dropped as missed after this long.
+const CALL_RING_TIMEOUT_MS = 30 * 1000;
+// Per-session call log, newest last: { userId: [{ callId, with, direction, media, startedAt, endedAt, duration, outcome }] }
+const callHistory = shared.map("callHistory");
+const CALL_HISTORY_MAX = 50;
+
+// --- VOICE ROOMS ---
+// Full-mesh voice for game rooms and private groups. The server only tracks
+// who is in the room and relays signaling between each pair of peers.
+const voiceRooms = shared.map("voiceRooms"); // { roomId: { participants: { userId: { muted, speaking } } } }
+const VOICE_ROOM_MAX_PARTICIPANTS =
+  Number(process.env.VOICE_ROOM_MAX_PARTICIPANTS) || 6;
+
+// --- ICE SERVERS ---
+// TURN credentials follow the coturn REST API scheme: username is
+// "<expiry>:<userId>" and the password is its HMAC-SHA1 under TURN_SECRET
+// (coturn's static-auth-secret). Without a secret only STUN is handed out.
+const parseUrlList = (value) =>
+  (value || "")
+    .split(",")
+    .map((url) => url.trim())
+    .filter(Boolean);
+const STUN_URLS = parseUrlList(
+  process.env.STUN_URLS || "stun:stun.l.google.com:19302"
+);
+const TURN_URLS = parseUrlList(process.env.TURN_URLS);
+const TURN_SECRET = process.env.TURN_SECRET || null;
+const TURN_CREDENTIAL_TTL_SECONDS =
+  Number(process.env.TURN_CREDENTIAL_TTL_SECONDS) || 60 * 60;
+
+// --- SESSION MANAGEMENT ---
+// Everything above is keyed on a session id rather than socket.id, so a
+// reconnecting socket that presents its signed token picks its state back up.
+const sessions = {}; // Local sockets: { userId: { sockets: Set<socketId>, graceTimer } }
+const presence = shared.map("presence"); // { userId: { nodeId, awaySince } }
+// Every node has to accept tokens issued by the others, so a cluster can't
+// fall back to a per-process random secret.
+if (process.env.CLUSTER_BROKER_URL && !process.env.SESSION_SECRET) {
+  throw new Error(
+    "SESSION_SECRET must be set when CLUSTER_BROKER_URL is set, or sessions won't resume across nodes."
+  );
+}
+// Restored lobbies and private pairs wait for their users' old tokens, which
+// only verify if the secret outlives the process.
+if (process.env.STORAGE_DRIVER === "file" && !process.env.SESSION_SECRET) {
+  throw new Error(
+    "SESSION_SECRET must be set when STORAGE_DRIVER=file, or restored sessions can't be resumed."
+  );
+}
+const SESSION_SECRET =
+  process.env.SESSION_SECRET || randomBytes(32).toString("hex");
+const SESSION_GRACE_MS = 2 * 60 * 1000;
+
+// --- OFFLINE QUEUE ---
+// Private messages sent while the partner is inside their reconnect grace
+// window are held here and delivered, in order, when they come back.
+const offlineQueues = shared.map("offlineQueues"); // { userId: [{ msg, queuedAt }] }
+const OFFLINE_QUEUE_TTL_MS = SESSION_GRACE_MS;
+const OFFLINE_QUEUE_MAX = 50;
+
+// --- MATCHMAKING STATE ---
+// "Find a stranger" mode: queued users are paired into an ordinary private
+// room. Pairs that skipped each other sit out MATCH_COOLDOWN_MS.
+const matchQueue = shared.map("matchQueue"); // { userId: { language, preferences, enqueuedAt } }
+const activeMatches = shared.map("activeMatches"); // { userId: { partnerId, room, language, preferences } }
+const matchCooldowns = shared.map("matchCooldowns"); // { "idA:idB": expiresAt }
+const MATCH_COOLDOWN_MS = 5 * 60 * 1000;
+
+// --- MODERATION STATE ---
+// The moderator role is only available when MODERATOR_SECRET is configured.
+const MODERATOR_SECRET = process.env.MODERATOR_SECRET || null;
+const moderators = shared.set("moderators");
+const reports = shared.map("reports", storage.load("reports") || {}); // { reportId: { reporter, target, message, reason, ... } }
+const mutes = shared.map("mutes"); // { userId: mutedUntil }
+const kicks = shared.map("kicks"); // { `${userId}:${room}`: rejoinAllowedAt }
+const bans = shared.map("bans", storage.load("bans") || {}); // { 'session:<id>'|'ip:<addr>': { expiresAt, reason } }
+const sessionIps = shared.map("sessionIps");
+const MAX_MUTE_MINUTES = 24 * 60;
+const KICK_REJOIN_BLOCK_MS = 10 * 60 * 1000;
+// Set TRUST_PROXY=true only behind a reverse proxy that appends the client
+// address to X-Forwarded-For. Otherwise the header is ignored.
+const TRUST_PROXY = process.env.TRUST_PROXY === "true";
+const MAX_REPORT_REASON_LENGTH = 200;
+// Events a muted user may not send.
+const MUTED_EVENTS = new Set([
+  "chat message",
+  "message:edit",
+  "message:react",
+  "typing",
+  "private:initiate",
+  "match:enqueue",
+  "match:skip",
+  "call:offer",
+  "voice:join",
+  "game:create",
+  "game:draw",
+  "game:action",
+  "hangman:guess",
+]);
+
+// --- GAMES ---
+// Each game type is a module in games/; see games/index.js for the hooks.
+const gameRegistry = createGameRegistry();
+builtinGames.forEach((game) => gameRegistry.register(game));
+const gameTimers = {}; // { roomId: { name: timeout } }, local like gameStates
 
 // --- RATE LIMITING CONSTANTS ---
-const userMessageTimestamps = {};
+const userMessageTimestamps = {}; // { userId: { channelId|'*': [timestamps] } }
 const RATE_LIMIT_COUNT = 5;
 const RATE_LIMIT_SECONDS = 5;
 const FIVE_MINUTES_IN_MS = 5 * 60 * 1000;
 
+// --- MESSAGE ACTIONS ---
+const MESSAGE_EDIT_WINDOW_MS = 2 * 60 * 1000;
+const MAX_MESSAGE_LENGTH = 500;
+const MAX_REACTIONS_PER_MESSAGE = 20;
+const MAX_EMOJI_LENGTH = 16;
+const REPLY_SNIPPET_LENGTH = 80;
+// Private messages only ever move forward through these states.
+const MESSAGE_STATUS_RANK = { queued: 0, sent: 1, delivered: 2, read: 3 };
+
+// --- CHANNELS ---
+// Topic channels users can sit in side by side. "public" is the default
+// channel every socket joins on connect.
+const DEFAULT_CHANNELS = {
+  public: {
+    id: "public",
+    name: "General",
+    description: "Chat with everyone.",
+    ageGroup: "all",
+    language: null,
+    rateLimit: { count: RATE_LIMIT_COUNT, seconds: RATE_LIMIT_SECONDS },
+    historyMinutes: 5,
+    archived: false,
+    createdAt: 0,
+  },
+};
+const channels = shared.map(
+  "channels",
+  storage.load("channels") || DEFAULT_CHANNELS
+);
+const channelMembers = shared.map("channelMembers"); // { channelId: [userId] }
+const CHANNEL_AGE_GROUPS = ["all", "13-17", "18+"];
+const MAX_CHANNEL_HISTORY_MINUTES = 60;
+
+// --- MESSAGE FILTERING ---
+// Runs on every public, private and in-game chat message before broadcast.
+// PROFANITY_MODE=reject drops messages with blocked words instead of masking
+// them, PROFANITY_WORDS_FILE replaces the default list, and any filter module
+// dropped into filters/custom/ is appended after the built-in ones.
+const messagePipeline = createMessagePipeline()
+  .use(
+    createWordFilter({
+      words: readWordList(
+        process.env.PROFANITY_WORDS_FILE ||
+          path.join(__dirname, "filters", "wordlist.txt")
+      ),
+      mode: process.env.PROFANITY_MODE,
+    })
+  )
+  .use(createFloodFilter({}))
+  .use(createLinkFilter({}));
+loadCustomFilters(messagePipeline, path.join(__dirname, "filters", "custom"));
+
 // --- UTILITY FUNCTIONS ---
+// Lookups keyed by client-supplied ids must only see a collection's own
+// keys, never inherited ones like "__proto__" or "toString".
+function hasOwn(collection, key) {
+  return (
+    typeof key === "string" &&
+    Object.prototype.hasOwnProperty.call(collection, key)
+  );
+}
+
 setInterval(() => {
   const now = Date.now();
+  const liveMessageIds = new Set();
   for (const room in chatHistory) {
-    chatHistory[room] = chatHistory[room].filter(
-      (entry) => now - entry.timestamp < FIVE_MINUTES_IN_MS
+    const retention = channels[room]
+      ? channels[room].historyMinutes * 60 * 1000
+      : FIVE_MINUTES_IN_MS;
+    // A thread is pruned as a unit once its latest message has expired, so
+    // replies never outlive the message they quote and vice versa.
+    const lastActivity = {};
+    chatHistory[room].forEach(({ msg, timestamp }) => {
+      const threadId = msg.threadId || msg.messageId;
+      lastActivity[threadId] = Math.max(lastActivity[threadId] || 0, timestamp);
+    });
+    const kept = chatHistory[room].filter(
+      ({ msg }) => now - lastActivity[msg.threadId || msg.messageId] < retention
     );
+    if (kept.length !== chatHistory[room].length) chatHistory[room] = kept;
+    kept.forEach(({ msg }) => liveMessageIds.add(msg.messageId));
+  }
+  for (const messageId in messageSenders) {
+    if (!liveMessageIds.has(messageId)) delete messageSenders[messageId];
+  }
+  for (const userId in offlineQueues) {
+    const queue = getOfflineQueue(userId);
+    if (queue.length === 0) delete offlineQueues[userId];
+    else if (queue.length !== offlineQueues[userId].length) {
+      offlineQueues[userId] = queue;
+    }
+  }
+  for (const key in matchCooldowns) {
+    if (matchCooldowns[key] <= now) delete matchCooldowns[key];
   }
+  // Expired cooldowns can make users who are already waiting compatible.
+  Object.keys(matchQueue).forEach((userId) => {
+    if (matchQueue[userId]) findMatch(userId);
+  });
 }, 60 * 1000);
 
+function getChannelList() {
+  return Object.values(channels)
+    .filter((channel) => !channel.archived)
+    .map((channel) => ({
+      id: channel.id,
+      name: channel.name,
+      description: channel.description,
+      ageGroup: channel.ageGroup,
+      language: channel.language,
+      memberCount: (channelMembers[channel.id] || []).length,
+    }));
+}
+
+function joinChannel(userId, channelId) {
+  const members = channelMembers[channelId] || [];
+  if (!members.includes(userId)) {
+    channelMembers[channelId] = [...members, userId];
+  }
+}
+
+function leaveChannel(userId, channelId) {
+  const members = channelMembers[channelId] || [];
+  if (members.includes(userId)) {
+    channelMembers[channelId] = members.filter((id) => id !== userId);
+  }
+}
+
+// Returns true when the message is within the sender's limit for this room.
+// Channels carry their own limits; private and game rooms share a default.
+function consumeRateLimit(userId, room, now) {
+  const channel = channels[room];
+  const { count, seconds } = channel
+    ? channel.rateLimit
+    : { count: RATE_LIMIT_COUNT, seconds: RATE_LIMIT_SECONDS };
+  const key = channel ? room : "*";
+  const buckets = userMessageTimestamps[userId] || {};
+  userMessageTimestamps[userId] = buckets;
+  buckets[key] = (buckets[key] || []).filter((ts) => now - ts < seconds * 1000);
+  if (buckets[key].length >= count) return false;
+  buckets[key].push(now);
+  return true;
+}
+
 function getPublicRoomList() {
   return Object.values(activeGameRooms).map((room) => ({
     id: room.id,
@@ -124,15 +355,68 @@ function getPublicRoomList() {
     players: room.players,
     hasPassword: !!room.password,
     inProgress: room.inProgress || false,
+    spectatorCount: (room.spectators || []).length,
     gameType: room.gameType,
+    maxPlayers: gameRegistry.get(room.gameType).maxPlayers,
   }));
 }
 
-function handlePlayerLeave(socketId, roomId) {
+// --- SPECTATORS ---
+// Spectators sit in the game's socket room, so they see game:state and the
+// drawing, but their chat goes to a separate channel the players never join.
+// Game modules only send secrets (word prompts) to individual players.
+function getSpectatorChannelName(roomId) {
+  return `${roomId}:spectators`;
+}
+
+function getSpectatedRoomId(channel) {
+  const roomId = channel.endsWith(":spectators")
+    ? channel.slice(0, -":spectators".length)
+    : null;
+  return roomId && hasOwn(activeGameRooms, roomId) ? roomId : null;
+}
+
+function isSpectating(userId, room) {
+  return (room.spectators || []).includes(userId);
+}
+
+function emitSpectatorCount(roomId) {
+  const room = activeGameRooms[roomId];
+  if (!room) return;
+  io.to(roomId).emit("game:spectators", {
+    room: roomId,
+    count: (room.spectators || []).length,
+  });
+}
+
+function removeSpectator(userId, roomId) {
+  const room = activeGameRooms[roomId];
+  if (!room || !isSpectating(userId, room)) return;
+  room.spectators = room.spectators.filter((id) => id !== userId);
+  activeGameRooms[roomId] = room;
+  io.in(userId).socketsLeave(getSpectatorChannelName(roomId));
+  emitSpectatorCount(roomId);
+  io.emit("game:roomsList", getPublicRoomList());
+}
+
+// The room as sent to its players, with settings filtered by the game.
+function getPublicGameRoom(room) {
+  const definition = gameRegistry.get(room.gameType);
+  const settings = room.settings || {};
+  return {
+    ...room,
+    settings: definition.describeSettings
+      ? definition.describeSettings(settings)
+      : settings,
+  };
+}
+
+function handlePlayerLeave(userId, roomId) {
   const room = activeGameRooms[roomId];
   if (!room) return;
-  const playerIndex = room.players.findIndex((p) => p.id === socketId);
+  const playerIndex = room.players.findIndex((p) => p.id === userId);
   if (playerIndex === -1) return;
+  leaveVoiceRoom(userId, roomId);
   const departingPlayer = room.players[playerIndex];
   room.players.splice(playerIndex, 1);
   io.to(roomId).emit("chat message", {
@@ -141,21 +425,18 @@ function handlePlayerLeave(socketId, roomId) {
     name: "System",
   });
   const gameState = gameStates[roomId];
-  const minPlayers = room.gameType === "doodle" ? 2 : 2;
-  if (room.players.length < minPlayers) {
+  const definition = gameRegistry.get(room.gameType);
+  if (room.players.length < definition.minPlayers) {
     if (gameState && gameState.isRoundActive) {
-      if (gameState.roundTimer) clearTimeout(gameState.roundTimer);
-      if (gameState.turnTimer) clearTimeout(gameState.turnTimer);
       io.to(roomId).emit(
         "game:message",
         "Not enough players. The game has ended."
       );
       io.to(roomId).emit("game:terminated", "Not enough players to continue.");
     }
-    delete activeGameRooms[roomId];
-    delete gameStates[roomId];
+    closeGame(roomId);
   } else {
-    if (room.creatorId === socketId) {
+    if (room.creatorId === userId) {
       room.creatorId = room.players[0].id;
       room.creatorName = room.players[0].name;
       io.to(roomId).emit(
@@ -163,804 +444,2404 @@ function handlePlayerLeave(socketId, roomId) {
         `${room.creatorName} is the new host.`
       );
     }
+    activeGameRooms[roomId] = room;
     if (gameState && gameState.isRoundActive) {
-      if (room.gameType === "doodle" && gameState.drawer.id === socketId) {
-        io.to(roomId).emit(
-          "game:message",
-          "The drawer left. Starting a new round."
-        );
-        clearTimeout(gameState.roundTimer);
-        startNewDoodleRound(roomId);
-      } else if (
-        room.gameType === "hangman" &&
-        gameState.currentPlayerTurn === socketId
-      ) {
-        io.to(roomId).emit(
-          "game:message",
-          "A player left. The Hangman game has ended."
-        );
-        io.to(roomId).emit(
-          "game:terminated",
-          "A player left, ending the game."
-        );
-        delete activeGameRooms[roomId];
-        delete gameStates[roomId];
-      }
-    }
-    if (gameState) {
-      io.to(roomId).emit("game:state", {
-        ...gameState,
-        players: room.players,
-        creatorId: room.creatorId,
-      });
+      definition.playerLeave(getGameContext(roomId), userId);
     }
+    if (gameState && gameStates[roomId]) emitGameState(roomId);
   }
   io.emit("game:roomsList", getPublicRoomList());
 }
 
-// --- SOCKET.IO CONNECTION ---
-io.on("connection", (socket) => {
-  console.log("🟢 User connected:", socket.id);
-  socket.join("public");
-  userMessageTimestamps[socket.id] = [];
-  callStates[socket.id] = { status: "idle", partnerId: null };
+function resetCallState(userId) {
+  if (callStates[userId]) {
+    console.log(`[State] Resetting call state for ${userId}`);
+    callStates[userId] = { status: "idle", partnerId: null };
+  }
+}
 
-  socket.on("user info", ({ nickname, gender, age }) => {
-    if (
-      typeof nickname !== "string" ||
-      nickname.trim().length === 0 ||
-      nickname.length > 20
-    )
-      return;
-    users[socket.id] = { id: socket.id, name: nickname.trim(), gender, age };
-    io.emit("user list", Object.values(users));
-    socket.emit("game:roomsList", getPublicRoomList());
-  });
+function endCallCleanup(enderId) {
+  const callState = callStates[enderId];
+  if (!callState || callState.status === "idle") return;
 
-  socket.on("join room", (roomName) => {
-    if (!roomName.startsWith("game-")) {
-      socket.rooms.forEach((room) => {
-        if (room !== socket.id && !acceptedChats.has(room)) {
-          socket.leave(room);
-        }
-      });
-    }
-    socket.join(roomName);
-    if (chatHistory[roomName]) {
-      socket.emit(
-        "room history",
-        chatHistory[roomName].map((entry) => entry.msg)
-      );
-    }
-  });
+  const partnerId = callState.partnerId;
+  console.log(`☎️ [Stateful] Call ended by ${enderId}. Notifying ${partnerId}`);
+  logCall(
+    enderId,
+    ["connected", "renegotiating"].includes(callState.status)
+      ? "completed"
+      : "cancelled"
+  );
+  if (partnerId && users[partnerId]) {
+    io.to(partnerId).emit("call:ended", { from: enderId });
+  }
+  resetCallState(enderId);
+  if (partnerId) {
+    resetCallState(partnerId);
+  }
+}
 
-  socket.on("chat message", ({ room, text }) => {
-    const user = users[socket.id];
-    if (!user) return;
-    if (
-      typeof text !== "string" ||
-      text.trim().length === 0 ||
-      text.length > 500
-    )
-      return;
-    const now = Date.now();
-    userMessageTimestamps[socket.id] = (
-      userMessageTimestamps[socket.id] || []
-    ).filter((ts) => now - ts < RATE_LIMIT_SECONDS * 1000);
-    if (userMessageTimestamps[socket.id].length >= RATE_LIMIT_COUNT) {
-      socket.emit("rate limit", "You are sending messages too quickly.");
-      return;
-    }
-    userMessageTimestamps[socket.id].push(now);
-    const gameState = gameStates[room];
-    const roomData = activeGameRooms[room];
-    if (
-      gameState &&
-      gameState.isRoundActive &&
-      roomData &&
-      roomData.gameType === "doodle"
-    ) {
-      handleDoodleGuess(socket, user, room, text, gameState);
-      return;
-    }
-    const messageId = `${Date.now()}-${socket.id}`;
-    const msg = {
-      id: socket.id,
-      to: room.includes("-")
-        ? room.replace(socket.id, "").replace("-", "")
-        : null,
-      messageId,
-      name: user.name,
-      gender: user.gender,
-      age: user.age,
-      text: text.trim(),
-      room,
-      status: "sent",
+// Moves both sides to "connected", keeping the details set up at offer time.
+function connectCall(userId, partnerId, media) {
+  [
+    [userId, partnerId],
+    [partnerId, userId],
+  ].forEach(([id, otherId]) => {
+    const { callId, callerId, startedAt, answeredAt } = callStates[id];
+    callStates[id] = {
+      status: "connected",
+      partnerId: otherId,
+      media,
+      callId,
+      callerId,
+      startedAt,
+      answeredAt: answeredAt || Date.now(),
     };
-    messageSenders[messageId] = socket.id;
-    if (!chatHistory[room]) chatHistory[room] = [];
-    chatHistory[room].push({ msg, timestamp: Date.now() });
-    io.to(room).emit("chat message", msg);
   });
+}
 
-  socket.on("message read", ({ room, messageId }) => {
-    const senderSocketId = messageSenders[messageId];
-    if (senderSocketId)
-      io.to(senderSocketId).emit("message was read", { room, messageId });
+// Adds the call to both participants' history. Must run before the call
+// states are reset.
+function logCall(userId, outcome) {
+  const callState = callStates[userId];
+  if (!callState || !callState.callId) return;
+  const endedAt = Date.now();
+  const duration = callState.answeredAt
+    ? Math.round((endedAt - callState.answeredAt) / 1000)
+    : 0;
+  [
+    [userId, callState.partnerId],
+    [callState.partnerId, userId],
+  ].forEach(([id, otherId]) => {
+    if (!users[id]) return;
+    const other = users[otherId];
+    const entry = {
+      callId: callState.callId,
+      with: { id: otherId, name: other ? other.name : "A user" },
+      direction: id === callState.callerId ? "outgoing" : "incoming",
+      media: callState.media,
+      startedAt: callState.startedAt,
+      endedAt,
+      duration,
+      outcome,
+    };
+    callHistory[id] = [...(callHistory[id] || []), entry].slice(
+      -CALL_HISTORY_MAX
+    );
   });
+}
 
-  socket.on("typing", ({ room }) => {
-    const user = users[socket.id];
-    if (user) socket.to(room).emit("typing", { name: user.name, room });
-  });
+function getCallMedia(media, fallback = "audio") {
+  return CALL_MEDIA_TYPES.includes(media) ? media : fallback;
+}
 
-  socket.on("stop typing", ({ room }) => {
-    const user = users[socket.id];
-    if (user) socket.to(room).emit("stop typing", { name: user.name, room });
+// Tells the caller that the callee can't (or chose not to) use the media
+// they asked for, so the client can fall back instead of waiting.
+function reportCallMediaMismatch(callerId, calleeId, requested, accepted) {
+  const callee = users[calleeId];
+  io.to(callerId).emit("call:capability_mismatch", {
+    from: { id: calleeId, name: callee ? callee.name : "A user" },
+    requested,
+    accepted,
+    capabilities: callCapabilities[calleeId] || null,
   });
+}
 
-  socket.on("private:initiate", ({ targetId }) => {
-    const requester = users[socket.id];
-    const target = users[targetId];
-    if (!requester || !target) {
-      return socket.emit("private:request_error", "User not found.");
-    }
-    const privateRoomId = [socket.id, targetId].sort().join("-");
-    const declineKey = `${targetId}-${socket.id}`;
-    if (declinedChats.has(declineKey)) {
-      return socket.emit(
-        "private:request_error",
-        `${target.name} has declined your recent request. They must initiate the next chat.`
-      );
-    }
-    if (acceptedChats.has(privateRoomId)) {
-      const roomInfo = { id: privateRoomId, name: `Private Chat` };
-      io.to(socket.id).emit("private:request_accepted", {
-        room: roomInfo,
-        withUser: target,
-      });
-      return;
-    }
-    if (
-      pendingPrivateRequests[socket.id] ||
-      Object.values(pendingPrivateRequests).includes(socket.id)
-    ) {
-      return socket.emit(
-        "private:request_error",
-        "You already have a pending request."
-      );
-    }
-    pendingPrivateRequests[socket.id] = targetId;
-    io.to(targetId).emit("private:request_incoming", { fromUser: requester });
-  });
+function getIceServers(userId) {
+  const iceServers = [];
+  if (STUN_URLS.length > 0) iceServers.push({ urls: STUN_URLS });
+  if (TURN_SECRET && TURN_URLS.length > 0) {
+    const expiresAt =
+      Math.floor(Date.now() / 1000) + TURN_CREDENTIAL_TTL_SECONDS;
+    const username = `${expiresAt}:${userId}`;
+    const credential = createHmac("sha1", TURN_SECRET)
+      .update(username)
+      .digest("base64");
+    iceServers.push({ urls: TURN_URLS, username, credential });
+  }
+  return { iceServers, ttl: TURN_CREDENTIAL_TTL_SECONDS };
+}
 
-  socket.on("private:accept", ({ requesterId }) => {
-    const accepter = users[socket.id];
-    const requester = users[requesterId];
-    if (
-      !accepter ||
-      !requester ||
-      pendingPrivateRequests[requesterId] !== socket.id
-    ) {
-      return;
-    }
-    delete pendingPrivateRequests[requesterId];
-    const privateRoomId = [requesterId, socket.id].sort().join("-");
-    acceptedChats.add(privateRoomId);
-    const declineKey1 = `${socket.id}-${requesterId}`;
-    const declineKey2 = `${requesterId}-${socket.id}`;
-    declinedChats.delete(declineKey1);
-    declinedChats.delete(declineKey2);
-    const roomInfo = { id: privateRoomId, name: `Private Chat` };
-    io.to(requesterId).emit("private:request_accepted", {
-      room: roomInfo,
-      withUser: accepter,
-    });
-    io.to(socket.id).emit("private:request_accepted", {
-      room: roomInfo,
-      withUser: requester,
-    });
-  });
+// --- SESSION FUNCTIONS ---
+function signSessionId(sessionId) {
+  const signature = createHmac("sha256", SESSION_SECRET)
+    .update(sessionId)
+    .digest("base64url");
+  return `${sessionId}.${signature}`;
+}
 
-  socket.on("private:decline", ({ requesterId, reason }) => {
-    const decliner = users[socket.id];
-    if (!decliner || !users[requesterId]) return;
-    if (pendingPrivateRequests[requesterId] === socket.id) {
-      delete pendingPrivateRequests[requesterId];
-    }
-    const declineKey = `${socket.id}-${requesterId}`;
-    declinedChats.add(declineKey);
-    io.to(requesterId).emit("private:request_declined", {
-      byUser: decliner,
-      reason,
-    });
-  });
+function verifySessionToken(token) {
+  if (typeof token !== "string") return null;
+  const [sessionId, signature] = token.split(".");
+  if (!sessionId || !signature || !/^[a-f0-9]{32}$/.test(sessionId)) {
+    return null;
+  }
+  const expected = Buffer.from(signSessionId(sessionId).split(".")[1]);
+  const received = Buffer.from(signature);
+  if (
+    expected.length !== received.length ||
+    !timingSafeEqual(expected, received)
+  ) {
+    return null;
+  }
+  return sessionId;
+}
 
-  socket.on("private:leave", ({ room }) => {
-    const user = users[socket.id];
-    if (user) {
-      socket
-        .to(room)
-        .emit("private:partner_left", { room, partnerName: user.name });
-    }
-    socket.leave(room);
-    acceptedChats.delete(room);
+function getPrivateRoomsFor(userId) {
+  return [...acceptedChats].filter((room) => room.split("-").includes(userId));
+}
+
+function restoreSession(socket, userId) {
+  const user = users[userId];
+  const privateChats = getPrivateRoomsFor(userId).map((roomId) => {
+    socket.join(roomId);
+    const partnerId = roomId.split("-").find((id) => id !== userId);
+    return {
+      room: { id: roomId, name: `Private Chat` },
+      withUser: users[partnerId] || null,
+    };
+  });
+  const gameRoom = Object.values(activeGameRooms).find((room) =>
+    room.players.some((p) => p.id === userId)
+  );
+  if (gameRoom) socket.join(gameRoom.id);
+  const spectatedRoom = Object.values(activeGameRooms).find((room) =>
+    isSpectating(userId, room)
+  );
+  if (spectatedRoom) {
+    socket.join([spectatedRoom.id, getSpectatorChannelName(spectatedRoom.id)]);
+  }
+  const groups = getGroupsFor(userId);
+  groups.forEach((group) => socket.join(group.id));
+  Object.keys(channelMembers)
+    .filter((channelId) => channelMembers[channelId].includes(userId))
+    .forEach((channelId) => socket.join(channelId));
+  const voiceRoomIds = Object.keys(voiceRooms).filter(
+    (roomId) => voiceRooms[roomId].participants[userId]
+  );
+  voiceRoomIds.forEach((roomId) => socket.join(getVoiceChannelName(roomId)));
+  const incomingRequests = Object.keys(pendingPrivateRequests)
+    .filter((requesterId) => pendingPrivateRequests[requesterId] === userId)
+    .map((requesterId) => users[requesterId])
+    .filter(Boolean);
+  const outgoingTargetId = pendingPrivateRequests[userId];
+  socket.emit("session:resumed", {
+    user,
+    token: signSessionId(userId),
+    privateChats,
+    incomingRequests,
+    outgoingRequest: outgoingTargetId ? users[outgoingTargetId] || null : null,
+    groups: groups.map(getGroupPayload),
+    groupInvites: Object.values(groupRooms)
+      .filter((group) => group.invites[userId])
+      .map((group) => ({
+        group: { groupId: group.id, name: group.name },
+        fromUser: users[group.invites[userId]] || null,
+      })),
+    gameRoom: gameRoom ? getPublicGameRoom(gameRoom) : null,
+    spectatedRoom: spectatedRoom ? getPublicGameRoom(spectatedRoom) : null,
+    call: callStates[userId],
+    matchQueued: !!matchQueue[userId],
+    voiceRooms: voiceRoomIds.map(getVoiceRoomPayload),
   });
+  socket.emit("game:roomsList", getPublicRoomList());
+  const watchedRoom = gameRoom || spectatedRoom;
+  if (watchedRoom) dispatchGameEvent("game:resync", userId, watchedRoom.id);
+  deliverOfflineQueue(socket, userId);
+}
 
-  // --- STATEFUL AUDIO CALL (WEBRTC) SIGNALING ---
-  function resetCallState(userId) {
-    if (callStates[userId]) {
-      console.log(`[State] Resetting call state for ${userId}`);
-      callStates[userId].status = "idle";
-      callStates[userId].partnerId = null;
+// Tears down everything a session owns. Runs once the grace window after the
+// last socket of a session disconnects has passed, or on an explicit logout.
+function endSession(userId) {
+  const session = sessions[userId];
+  if (session && session.graceTimer) clearTimeout(session.graceTimer);
+  delete sessions[userId];
+  delete presence[userId];
+  delete sessionIps[userId];
+  delete offlineQueues[userId];
+  moderators.delete(userId);
+  messagePipeline.forget(userId);
+  Object.keys(channelMembers).forEach((channelId) =>
+    leaveChannel(userId, channelId)
+  );
+  endCallCleanup(userId);
+  delete callCapabilities[userId];
+  delete callHistory[userId];
+  endMatch(userId);
+  delete matchQueue[userId];
+  const user = users[userId];
+  for (const roomId in activeGameRooms) {
+    const room = activeGameRooms[roomId];
+    if (
+      room.players.some((p) => p.id === userId) ||
+      isSpectating(userId, room)
+    ) {
+      dispatchGameEvent("game:leave", userId, roomId);
     }
   }
-
-  socket.on("call:offer", ({ targetId, offer }) => {
-    const caller = users[socket.id];
-    const target = users[targetId];
-    if (!caller || !target) return;
-
-    if (callStates[socket.id]?.status !== "idle") {
-      return socket.emit("call:error", "You are already in a call process.");
+  for (const room of acceptedChats) {
+    if (room.includes(userId)) {
+      io.to(room).emit("private:partner_left", {
+        room,
+        partnerName: user ? user.name : "A user",
+      });
+      acceptedChats.delete(room);
     }
-    if (callStates[targetId]?.status !== "idle") {
-      return socket.emit("call:busy", {
-        from: { id: targetId, name: target.name },
+  }
+  if (pendingPrivateRequests[userId]) {
+    delete pendingPrivateRequests[userId];
+  }
+  for (const requesterId in pendingPrivateRequests) {
+    if (pendingPrivateRequests[requesterId] === userId) {
+      io.to(requesterId).emit("private:request_declined", {
+        byUser: { name: user ? user.name : "A user" },
+        reason: "offline",
       });
+      delete pendingPrivateRequests[requesterId];
+    }
+  }
+  for (const groupId in groupRooms) {
+    const group = groupRooms[groupId];
+    if (group.invites[userId]) {
+      const invites = { ...group.invites };
+      delete invites[userId];
+      groupRooms[groupId] = { ...group, invites };
     }
+    removeGroupMember(groupId, userId);
+  }
+  const declinedPairsToRemove = [];
+  for (const pair of declinedChats) {
+    if (pair.includes(userId)) declinedPairsToRemove.push(pair);
+  }
+  declinedPairsToRemove.forEach((pair) => declinedChats.delete(pair));
+  delete users[userId];
+  delete userMessageTimestamps[userId];
+  delete callStates[userId];
+  delete blockLists[userId];
+  broadcastUserList();
+}
 
-    console.log(`📞 [Stateful] Offer from ${caller.name} to ${target.name}`);
-    callStates[socket.id] = { status: "offering", partnerId: targetId };
-    callStates[targetId] = { status: "receiving", partnerId: socket.id };
-    io.to(targetId).emit("call:incoming", {
-      from: { id: socket.id, name: caller.name },
-      offer,
-    });
-  });
+function getRoomKind(room) {
+  if (activeGameRooms[room] || getSpectatedRoomId(room)) return "game";
+  if (groupRooms[room]) return "group";
+  if (acceptedChats.has(room)) return "private";
+  return "public";
+}
 
-  socket.on("call:answer", ({ targetId, answer }) => {
-    const caller = users[targetId];
-    const callee = users[socket.id];
-    if (
-      !caller ||
-      !callee ||
-      callStates[socket.id]?.partnerId !== targetId ||
-      callStates[targetId]?.partnerId !== socket.id
-    )
-      return;
+// --- VOICE ROOM FUNCTIONS ---
+function getVoiceChannelName(roomId) {
+  return `voice:${roomId}`;
+}
 
-    console.log(`✅ [Stateful] Answer from ${callee.name} to ${caller.name}`);
-    callStates[socket.id].status = "connected";
-    callStates[targetId].status = "connected";
-    io.to(targetId).emit("call:answer_received", { from: socket.id, answer });
-  });
+function getVoiceRoomPayload(roomId) {
+  const participants = getVoiceParticipants(roomId);
+  return {
+    room: roomId,
+    participants: Object.keys(participants).map((id) => ({
+      user: users[id] || { id, name: "A user" },
+      ...participants[id],
+    })),
+  };
+}
 
-  socket.on("call:ice_candidate", ({ targetId, candidate }) => {
-    if (callStates[socket.id]?.partnerId === targetId) {
-      io.to(targetId).emit("call:ice_candidate_received", {
-        from: socket.id,
-        candidate,
-      });
-    }
-  });
+// Voice is only offered inside rooms the user already belongs to.
+function canUseVoiceRoom(userId, roomId) {
+  const group = getGroup(roomId);
+  if (group) return group.members.includes(userId);
+  if (hasOwn(activeGameRooms, roomId)) {
+    return activeGameRooms[roomId].players.some((p) => p.id === userId);
+  }
+  return false;
+}
 
-  socket.on("call:decline", ({ targetId, reason }) => {
-    const decliner = users[socket.id];
-    if (!decliner) return;
-    console.log(`❌ [Stateful] Call declined by ${decliner.name}`);
-    io.to(targetId).emit("call:declined", {
-      from: { id: socket.id, name: decliner.name },
-      reason,
-    });
-    resetCallState(socket.id);
-    resetCallState(targetId);
-  });
+function getVoiceParticipants(roomId) {
+  return hasOwn(voiceRooms, roomId) ? voiceRooms[roomId].participants : {};
+}
 
-  const endCallCleanup = (enderId) => {
-    const callState = callStates[enderId];
-    if (!callState || callState.status === "idle") return;
+function isVoiceParticipant(userId, roomId) {
+  return hasOwn(getVoiceParticipants(roomId), userId);
+}
 
-    const partnerId = callState.partnerId;
-    console.log(
-      `☎️ [Stateful] Call ended by ${enderId}. Notifying ${partnerId}`
-    );
-    if (partnerId && users[partnerId]) {
-      io.to(partnerId).emit("call:ended", { from: enderId });
-    }
-    resetCallState(enderId);
-    if (partnerId) {
-      resetCallState(partnerId);
-    }
-  };
+// Participant changes go to the whole group or game room, not only to the
+// people in voice, so everyone can see who is talking.
+function emitVoiceEvent(roomId, event, payload) {
+  io.to([roomId, getVoiceChannelName(roomId)]).emit(event, payload);
+}
 
-  socket.on("call:end", () => {
-    endCallCleanup(socket.id);
+function updateVoiceParticipant(userId, roomId, changes) {
+  const voiceRoom = voiceRooms[roomId];
+  const participants = { ...voiceRoom.participants };
+  participants[userId] = { ...participants[userId], ...changes };
+  voiceRooms[roomId] = { ...voiceRoom, participants };
+  emitVoiceEvent(roomId, "voice:participant_updated", {
+    room: roomId,
+    userId,
+    ...participants[userId],
   });
+}
 
-  // --- GAME EVENTS (Unchanged) ---
-  socket.on("game:create", ({ roomName, password, gameType }) => {
-    const user = users[socket.id];
+function leaveVoiceRoom(userId, roomId) {
+  if (!isVoiceParticipant(userId, roomId)) return;
+  const participants = { ...voiceRooms[roomId].participants };
+  delete participants[userId];
+  const channel = getVoiceChannelName(roomId);
+  emitVoiceEvent(roomId, "voice:participant_left", { room: roomId, userId });
+  io.in(userId).socketsLeave(channel);
+  if (Object.keys(participants).length === 0) delete voiceRooms[roomId];
+  else voiceRooms[roomId] = { ...voiceRooms[roomId], participants };
+}
+
+// --- BLOCKING FUNCTIONS ---
+function hasBlocked(userId, otherId) {
+  // Both ids can come straight from a client payload.
+  return hasOwn(blockLists, userId) && blockLists[userId].includes(otherId);
+}
+
+function getBlockersOf(userId) {
+  return Object.keys(blockLists).filter((id) => hasBlocked(id, userId));
+}
+
+// Everyone gets the full list except blockers, who get it without the users
+// they blocked.
+function broadcastUserList() {
+  const everyone = Object.values(users);
+  const blockers = Object.keys(blockLists).filter(
+    (id) => blockLists[id].length > 0
+  );
+  io.except(blockers).emit("user list", everyone);
+  blockers.forEach((id) =>
+    io.to(id).emit(
+      "user list",
+      everyone.filter((user) => !hasBlocked(id, user.id))
+    )
+  );
+}
+
+// --- MATCHMAKING FUNCTIONS ---
+function normalizeMatchRequest(request) {
+  const { language, preferences } = request || {};
+  const prefs = preferences || {};
+  const toAge = (value) => {
+    const age = Number(value);
+    return Number.isInteger(age) && age > 0 && age < 120 ? age : null;
+  };
+  const toLanguage = (value) =>
+    typeof value === "string" && /^[a-z]{2}$/.test(value) ? value : null;
+  return {
+    language: toLanguage(language),
+    preferences: {
+      minAge: toAge(prefs.minAge),
+      maxAge: toAge(prefs.maxAge),
+      gender:
+        typeof prefs.gender === "string" && prefs.gender.trim()
+          ? prefs.gender.trim().toLowerCase()
+          : null,
+      language: toLanguage(prefs.language),
+    },
+  };
+}
+
+function getMatchPairKey(userId, otherId) {
+  return [userId, otherId].sort().join(":");
+}
+
+// True when `user` (queued as `entry`) is what the searcher asked for.
+function meetsMatchPreferences(searcher, user, entry) {
+  const { minAge, maxAge, gender, language } = searcher.preferences;
+  const age = Number(user.age);
+  if ((minAge || maxAge) && !Number.isFinite(age)) return false;
+  if (minAge && age < minAge) return false;
+  if (maxAge && age > maxAge) return false;
+  if (gender && String(user.gender || "").toLowerCase() !== gender) {
+    return false;
+  }
+  return !language || entry.language === language;
+}
+
+function canBeMatched(userId, otherId) {
+  if (userId === otherId || !users[userId] || !users[otherId]) return false;
+  if (hasBlocked(userId, otherId) || hasBlocked(otherId, userId)) return false;
+  if ((matchCooldowns[getMatchPairKey(userId, otherId)] || 0) > Date.now()) {
+    return false;
+  }
+  if (acceptedChats.has([userId, otherId].sort().join("-"))) return false;
+  const entry = matchQueue[userId];
+  const otherEntry = matchQueue[otherId];
+  return (
+    meetsMatchPreferences(entry, users[otherId], otherEntry) &&
+    meetsMatchPreferences(otherEntry, users[userId], entry)
+  );
+}
+
+// Pairs a queued user with the longest-waiting compatible stranger.
+function findMatch(userId) {
+  const partnerId = Object.keys(matchQueue)
+    .filter((id) => canBeMatched(userId, id))
+    .sort((a, b) => matchQueue[a].enqueuedAt - matchQueue[b].enqueuedAt)[0];
+  if (!partnerId) return false;
+  const room = [userId, partnerId].sort().join("-");
+  [
+    [userId, partnerId],
+    [partnerId, userId],
+  ].forEach(([id, otherId]) => {
+    const { language, preferences } = matchQueue[id];
+    activeMatches[id] = { partnerId: otherId, room, language, preferences };
+    delete matchQueue[id];
+  });
+  acceptedChats.add(room);
+  const roomInfo = { id: room, name: "Stranger" };
+  io.to(userId).emit("match:found", {
+    room: roomInfo,
+    withUser: users[partnerId],
+  });
+  io.to(partnerId).emit("match:found", {
+    room: roomInfo,
+    withUser: users[userId],
+  });
+  return true;
+}
+
+function enqueueForMatch(userId, request) {
+  matchQueue[userId] = { ...request, enqueuedAt: Date.now() };
+  if (!findMatch(userId)) io.to(userId).emit("match:waiting");
+}
+
+// Closes the user's matched chat, putting the pair on cooldown when skipped.
+function endMatch(userId, skipped = false) {
+  const match = activeMatches[userId];
+  if (!match) return null;
+  const { partnerId, room } = match;
+  delete activeMatches[userId];
+  if (activeMatches[partnerId] && activeMatches[partnerId].room === room) {
+    delete activeMatches[partnerId];
+  }
+  if (skipped) {
+    matchCooldowns[getMatchPairKey(userId, partnerId)] =
+      Date.now() + MATCH_COOLDOWN_MS;
+  }
+  if (acceptedChats.has(room)) {
+    const user = users[userId];
+    io.to(partnerId).emit("private:partner_left", {
+      room,
+      partnerName: user ? user.name : "A user",
+    });
+    io.in(room).socketsLeave(room);
+    acceptedChats.delete(room);
+  }
+  io.to([userId, partnerId]).emit("match:ended", {
+    room,
+    reason: skipped ? "skipped" : "left",
+  });
+  return match;
+}
+
+// --- GROUP ROOM FUNCTIONS ---
+function getGroup(groupId) {
+  return hasOwn(groupRooms, groupId) ? groupRooms[groupId] : null;
+}
+
+function getGroupPayload(group) {
+  return {
+    groupId: group.id,
+    name: group.name,
+    ownerId: group.ownerId,
+    members: group.members.map((id) => users[id]).filter(Boolean),
+  };
+}
+
+function getGroupsFor(userId) {
+  return Object.values(groupRooms).filter((group) =>
+    group.members.includes(userId)
+  );
+}
+
+// Drops a member, handing ownership to the longest-standing member when the
+// owner goes, and removes the group once it is empty.
+function removeGroupMember(groupId, memberId) {
+  const group = getGroup(groupId);
+  if (!group || !group.members.includes(memberId)) return;
+  leaveVoiceRoom(memberId, groupId);
+  io.in(memberId).socketsLeave(groupId);
+  const members = group.members.filter((id) => id !== memberId);
+  if (members.length === 0) {
+    delete groupRooms[groupId];
+    delete chatHistory[groupId];
+    return;
+  }
+  const updated = { ...group, members };
+  if (group.ownerId === memberId) {
+    updated.ownerId = members[0];
+    io.to(groupId).emit("group:owner_changed", {
+      groupId,
+      ownerId: updated.ownerId,
+    });
+  }
+  groupRooms[groupId] = updated;
+  io.to(groupId).emit("group:members", getGroupPayload(updated));
+}
+
+function isValidMessageText(text) {
+  return (
+    typeof text === "string" &&
+    text.trim().length > 0 &&
+    text.length <= MAX_MESSAGE_LENGTH
+  );
+}
+
+// Stored messages keep who reacted with what; clients only ever see counts.
+function toClientMessage(msg) {
+  if (!msg.reactions) return msg;
+  const reactions = {};
+  for (const emoji in msg.reactions) {
+    reactions[emoji] = msg.reactions[emoji].length;
+  }
+  return { ...msg, reactions };
+}
+
+function findHistoryEntry(room, messageId) {
+  if (!hasOwn(chatHistory, room)) return null;
+  return chatHistory[room].find((entry) => entry.msg.messageId === messageId);
+}
+
+// Replaces a stored message with update(msg) and returns the new message.
+function updateHistoryMessage(room, messageId, update) {
+  const entry = findHistoryEntry(room, messageId);
+  if (!entry) return null;
+  const msg = update(entry.msg);
+  chatHistory[room] = chatHistory[room].map((e) =>
+    e === entry ? { ...e, msg } : e
+  );
+  return msg;
+}
+
+// Replies carry a copy of their parent's opening text, so it has to follow
+// the parent through edits and deletes.
+function updateReplySnippets(room, parentId, parent) {
+  const refresh = (msg) =>
+    msg.replyTo && msg.replyTo.messageId === parentId
+      ? {
+          ...msg,
+          replyTo: {
+            ...msg.replyTo,
+            snippet: parent.deleted
+              ? ""
+              : parent.text.slice(0, REPLY_SNIPPET_LENGTH),
+            deleted: !!parent.deleted,
+          },
+        }
+      : msg;
+  if (chatHistory[room]) {
+    chatHistory[room] = chatHistory[room].map((entry) => ({
+      ...entry,
+      msg: refresh(entry.msg),
+    }));
+  }
+}
+
+// Advances the given messages in a private room to `status`, skipping any
+// already at or past it. Returns the ids that changed.
+function advanceMessageStatus(room, messageIds, status) {
+  const ids = new Set(messageIds);
+  const changed = [];
+  const history = (chatHistory[room] || []).map((entry) => {
+    const { msg } = entry;
+    if (
+      !ids.has(msg.messageId) ||
+      MESSAGE_STATUS_RANK[msg.status] >= MESSAGE_STATUS_RANK[status]
+    ) {
+      return entry;
+    }
+    changed.push(msg.messageId);
+    return { ...entry, msg: { ...msg, status } };
+  });
+  if (changed.length > 0) chatHistory[room] = history;
+  return changed;
+}
+
+function isAway(userId) {
+  const userPresence = presence[userId];
+  return !!(userPresence && userPresence.awaySince);
+}
+
+function getOfflineQueue(userId) {
+  const now = Date.now();
+  return (offlineQueues[userId] || []).filter(
+    (item) => now - item.queuedAt < OFFLINE_QUEUE_TTL_MS
+  );
+}
+
+function deliverOfflineQueue(socket, userId) {
+  const queue = getOfflineQueue(userId);
+  if (!offlineQueues[userId]) return;
+  delete offlineQueues[userId];
+  const idsByRoom = {};
+  // The queue only records what to deliver; the text comes from history so
+  // edits made meanwhile show up and deleted messages are skipped.
+  queue.forEach((item) => {
+    const entry = findHistoryEntry(item.msg.room, item.msg.messageId);
+    if (!entry || entry.msg.deleted) return;
+    const { msg } = entry;
+    socket.emit("chat message", toClientMessage({ ...msg, status: "sent" }));
+    idsByRoom[msg.room] = [...(idsByRoom[msg.room] || []), msg.messageId];
+  });
+  for (const room in idsByRoom) {
+    const changed = advanceMessageStatus(room, idsByRoom[room], "sent");
+    const senderId = room.split("-").find((id) => id !== userId);
+    if (changed.length > 0) {
+      io.to(senderId).emit("message:status", {
+        room,
+        messageIds: changed,
+        status: "sent",
+      });
+    }
+  }
+}
+
+// Returns the stored message a reply may quote, or null if it is gone.
+function getReplyParent(room, parentId) {
+  const entry = findHistoryEntry(room, parentId);
+  return entry && !entry.msg.deleted ? entry.msg : null;
+}
+
+function broadcastChatMessage(user, room, text, replyTo) {
+  const messageId = `${Date.now()}-${user.id}`;
+  const parent = replyTo ? getReplyParent(room, replyTo) : null;
+  const msg = {
+    id: user.id,
+    to:
+      getRoomKind(room) === "private"
+        ? room.replace(user.id, "").replace("-", "")
+        : null,
+    messageId,
+    name: user.name,
+    gender: user.gender,
+    age: user.age,
+    text: text.trim(),
+    room,
+    status: "sent",
+  };
+  if (parent) {
+    msg.threadId = parent.threadId || parent.messageId;
+    msg.replyTo = {
+      messageId: parent.messageId,
+      name: parent.name,
+      snippet: parent.text.slice(0, REPLY_SNIPPET_LENGTH),
+    };
+  }
+  if (msg.to && isAway(msg.to)) {
+    msg.status = "queued";
+    offlineQueues[msg.to] = [
+      ...getOfflineQueue(msg.to),
+      { msg, queuedAt: Date.now() },
+    ];
+  }
+  messageSenders[messageId] = user.id;
+  chatHistory[room] = [
+    ...(chatHistory[room] || []),
+    { msg, timestamp: Date.now() },
+  ];
+  io.to(room).except(getBlockersOf(user.id)).emit("chat message", msg);
+}
+
+// --- PERSISTENCE ---
+// Only channel history is written to disk. Private, group and game messages
+// stay in memory and are gone after a restart.
+function persistState() {
+  const history = {};
+  const senders = {};
+  for (const room in chatHistory) {
+    if (!channels[room]) continue;
+    history[room] = chatHistory[room];
+    history[room].forEach(({ msg }) => {
+      if (messageSenders[msg.messageId]) {
+        senders[msg.messageId] = messageSenders[msg.messageId];
+      }
+    });
+  }
+  storage.save("chatHistory", history);
+  storage.save("messageSenders", senders);
+  // Private pairs and groups are restored, so their members' profiles are
+  // kept too; without them the owners' sessions could not resume.
+  const members = {};
+  const keepMember = (id) => {
+    if (users[id]) members[id] = users[id];
+  };
+  acceptedChats.forEach((pair) => pair.split("-").forEach(keepMember));
+  Object.values(groupRooms).forEach((group) =>
+    group.members.forEach(keepMember)
+  );
+  storage.save("users", members);
+  storage.save("activeGameRooms", activeGameRooms);
+  storage.save("acceptedChats", [...acceptedChats]);
+  storage.save("reports", reports);
+  storage.save("bans", bans);
+  storage.save("channels", channels);
+  storage.save("groupRooms", groupRooms);
+}
+
+// Starts the grace window for a session with no sockets left on this instance.
+// If the user reconnects to another instance in the meantime, presence shows
+// them as back and the timer leaves the session alone.
+function holdSession(userId) {
+  if (!sessions[userId]) {
+    sessions[userId] = { sockets: new Set(), graceTimer: null };
+  }
+  const session = sessions[userId];
+  if (session.graceTimer) clearTimeout(session.graceTimer);
+  presence[userId] = { nodeId: NODE_ID, awaySince: Date.now() };
+  session.graceTimer = setTimeout(() => {
+    const current = presence[userId];
+    if (current && !current.awaySince) {
+      delete sessions[userId];
+      return;
+    }
+    endSession(userId);
+  }, SESSION_GRACE_MS);
+}
+
+// Rounds in flight depend on timers that did not survive the restart, so
+// restored game rooms come back as lobbies. Their players and the members of
+// accepted private pairs and groups get the usual grace window to reconnect.
+function restorePersistedState() {
+  for (const roomId in activeGameRooms) {
+    const room = activeGameRooms[roomId];
+    if (!gameRegistry.get(room.gameType)) {
+      delete activeGameRooms[roomId];
+      continue;
+    }
+    room.inProgress = false;
+    room.spectators = [];
+    room.nodeId = NODE_ID;
+    activeGameRooms[roomId] = room;
+    room.players.forEach((player) => {
+      users[player.id] = player;
+      holdSession(player.id);
+    });
+  }
+  const savedUsers = storage.load("users") || {};
+  const restoreMember = (id) => {
+    if (!users[id] && hasOwn(savedUsers, id)) users[id] = savedUsers[id];
+    holdSession(id);
+  };
+  for (const pair of acceptedChats) {
+    pair.split("-").forEach(restoreMember);
+  }
+  for (const groupId in groupRooms) {
+    groupRooms[groupId].members.forEach(restoreMember);
+  }
+}
+
+// --- MODERATION FUNCTIONS ---
+// Only the last X-Forwarded-For entry is the proxy's; anything before it was
+// sent by the client and could name any address.
+function resolveClientIp(forwarded, address) {
+  if (!TRUST_PROXY || !forwarded) return address;
+  const hops = forwarded.split(",");
+  return hops[hops.length - 1].trim() || address;
+}
+
+function getClientIp(socket) {
+  return resolveClientIp(
+    socket.handshake.headers["x-forwarded-for"],
+    socket.handshake.address
+  );
+}
+
+function getActiveBan(userId, ip) {
+  const now = Date.now();
+  for (const key of [`session:${userId}`, `ip:${ip}`]) {
+    const ban = bans[key];
+    if (!ban) continue;
+    if (ban.expiresAt && ban.expiresAt <= now) {
+      delete bans[key];
+      continue;
+    }
+    return ban;
+  }
+  return null;
+}
+
+function getMutedUntil(userId) {
+  const mutedUntil = mutes[userId];
+  if (!mutedUntil) return null;
+  if (mutedUntil <= Date.now()) {
+    delete mutes[userId];
+    return null;
+  }
+  return mutedUntil;
+}
+
+function isKickedFrom(userId, room) {
+  const key = `${userId}:${room}`;
+  if (!kicks[key]) return false;
+  if (kicks[key] <= Date.now()) {
+    delete kicks[key];
+    return false;
+  }
+  return true;
+}
+
+function getOpenReports() {
+  return Object.values(reports).sort((a, b) => a.createdAt - b.createdAt);
+}
+
+function notifyModerators(event, payload) {
+  if (moderators.size > 0) io.to([...moderators]).emit(event, payload);
+}
+
+function kickFromRoom(targetId, room) {
+  kicks[`${targetId}:${room}`] = Date.now() + KICK_REJOIN_BLOCK_MS;
+  io.to(targetId).emit("moderation:kicked", { room });
+  if (activeGameRooms[room]) {
+    dispatchGameEvent("game:leave", targetId, room);
+    return;
+  }
+  io.in(targetId).socketsLeave(room);
+  if (channels[room]) leaveChannel(targetId, room);
+  if (groupRooms[room]) removeGroupMember(room, targetId);
+  if (acceptedChats.has(room)) {
+    const target = users[targetId];
+    io.to(room).emit("private:partner_left", {
+      room,
+      partnerName: target ? target.name : "A user",
+    });
+    acceptedChats.delete(room);
+  }
+}
+
+function banSession(targetId, ban) {
+  io.to(targetId).emit("moderation:banned", {
+    reason: ban.reason,
+    expiresAt: ban.expiresAt,
+  });
+  io.in(targetId).disconnectSockets(true);
+  endSession(targetId);
+}
+
+// --- GAME ENGINE ---
+// The context handed to game modules. Everything is looked up on access, so
+// a context captured by a timer always sees the room's current state.
+function getGameContext(roomId) {
+  return {
+    roomId,
+    get room() {
+      return activeGameRooms[roomId];
+    },
+    get state() {
+      return gameStates[roomId];
+    },
+    set state(value) {
+      gameStates[roomId] = value;
+    },
+    getUser: (userId) => users[userId],
+    emit: (event, payload) => io.to(roomId).emit(event, payload),
+    emitTo: (userId, event, payload) => io.to(userId).emit(event, payload),
+    emitExcept: (userId, event, payload) =>
+      io.to(roomId).except(userId).emit(event, payload),
+    announce: (text) =>
+      io
+        .to(roomId)
+        .emit("chat message", { room: roomId, text, name: "System" }),
+    notify: (userId, text) => io.to(userId).emit("rate limit", text),
+    // Player-written text a game echoes outside chat goes through the same
+    // filters. Returns null, after telling the player why, when rejected.
+    filterText(userId, text) {
+      const filtered = messagePipeline.run({
+        text,
+        userId,
+        room: roomId,
+        kind: "game",
+        now: Date.now(),
+      });
+      if (filtered.ok) return filtered.text;
+      io.to(userId).emit("rate limit", filtered.reason);
+      return null;
+    },
+    broadcastState: () => emitGameState(roomId),
+    setInProgress(inProgress) {
+      const room = activeGameRooms[roomId];
+      if (!room) return;
+      room.inProgress = inProgress;
+      activeGameRooms[roomId] = room;
+      io.emit("game:roomsList", getPublicRoomList());
+    },
+    setTimer(name, callback, delay) {
+      const timers = gameTimers[roomId] || (gameTimers[roomId] = {});
+      clearTimeout(timers[name]);
+      timers[name] = setTimeout(() => {
+        delete timers[name];
+        callback();
+      }, delay);
+    },
+    clearTimer(name) {
+      const timers = gameTimers[roomId];
+      if (!timers) return;
+      clearTimeout(timers[name]);
+      delete timers[name];
+    },
+    close() {
+      closeGame(roomId);
+      io.emit("game:roomsList", getPublicRoomList());
+    },
+  };
+}
+
+function clearGameTimers(roomId) {
+  Object.values(gameTimers[roomId] || {}).forEach(clearTimeout);
+  delete gameTimers[roomId];
+}
+
+// Who is looking at the state; games decide what each viewer may see.
+function getGameViewer(room, userId) {
+  return {
+    userId,
+    role: room.players.some((p) => p.id === userId) ? "player" : "spectator",
+    isHost: room.creatorId === userId,
+  };
+}
+
+// State is never broadcast to the room as a whole: every player and
+// spectator gets their own projection, so answers stay with the sockets
+// allowed to see them.
+function emitGameState(roomId, target) {
+  const room = activeGameRooms[roomId];
+  if (!room) return;
+  const gameState = gameStates[roomId];
+  const definition = gameRegistry.get(room.gameType);
+  const recipients = target
+    ? [target]
+    : [...room.players.map((p) => p.id), ...(room.spectators || [])];
+  recipients.forEach((userId) => {
+    const viewer = getGameViewer(room, userId);
+    io.to(userId).emit("game:state", {
+      isRoundActive: false,
+      scores: {},
+      ...(gameState ? definition.serialize(gameState, viewer) : {}),
+      gameType: room.gameType,
+      players: room.players,
+      creatorId: room.creatorId,
+      viewer,
+    });
+  });
+}
+
+// Stops the game's timers and deletes the room. Callers announce why.
+function closeGame(roomId) {
+  const room = activeGameRooms[roomId];
+  if (room && gameStates[roomId]) {
+    gameRegistry.get(room.gameType).end(getGameContext(roomId));
+  }
+  clearGameTimers(roomId);
+  const spectatorChannel = getSpectatorChannelName(roomId);
+  io.in(spectatorChannel).socketsLeave(spectatorChannel);
+  if (voiceRooms[roomId]) {
+    io.in(getVoiceChannelName(roomId)).socketsLeave(
+      getVoiceChannelName(roomId)
+    );
+    delete voiceRooms[roomId];
+  }
+  delete activeGameRooms[roomId];
+  delete gameStates[roomId];
+}
+
+// Hands a player's action to the room's game module; false when the game
+// did not consume it.
+function runGameAction(userId, roomId, action, data) {
+  const room = activeGameRooms[roomId];
+  if (
+    !room ||
+    !gameStates[roomId] ||
+    !users[userId] ||
+    !room.players.some((p) => p.id === userId)
+  ) {
+    return false;
+  }
+  const definition = gameRegistry.get(room.gameType);
+  return !!definition.handleAction(
+    getGameContext(roomId),
+    userId,
+    action,
+    data
+  );
+}
+
+// --- GAME EVENT ROUTING ---
+// Game states and their timers only exist on the instance that created the
+// room (room.nodeId), so game events are handled there whichever instance
+// the player is connected to. Handlers therefore reach players through
+// io.to(userId) / io.in(userId) instead of a socket object.
+const gameEventHandlers = {
+  "game:create": (userId, { roomName, password, gameType, options } = {}) => {
+    const user = users[userId];
     if (!user) return;
+    const definition = gameRegistry.get(gameType || "doodle");
+    if (!definition) {
+      io.to(userId).emit("game:create_error", {
+        message: `Unknown game type "${gameType}".`,
+        games: gameRegistry.list(),
+      });
+      return;
+    }
+    const setup = definition.createSettings
+      ? definition.createSettings(options || {})
+      : { settings: {} };
+    if (setup.error) {
+      io.to(userId).emit("game:create_error", {
+        message: setup.error,
+        games: gameRegistry.list(),
+      });
+      return;
+    }
     const roomId = `game-${randomUUID()}`;
     const newRoom = {
       id: roomId,
       name: roomName || `${user.name}'s Room`,
-      creatorId: socket.id,
+      creatorId: userId,
       creatorName: user.name,
       players: [user],
+      spectators: [],
       password: password || null,
       inProgress: false,
-      gameType: gameType || "doodle",
+      gameType: definition.type,
+      settings: setup.settings,
+      nodeId: NODE_ID,
     };
     activeGameRooms[roomId] = newRoom;
-    socket.join(roomId);
-    socket.emit("game:joined", newRoom);
+    io.in(userId).socketsJoin(roomId);
+    io.to(userId).emit("game:joined", getPublicGameRoom(newRoom));
     io.emit("game:roomsList", getPublicRoomList());
-    io.to(roomId).emit("game:state", {
-      gameType: newRoom.gameType,
-      players: newRoom.players,
-      creatorId: newRoom.creatorId,
-      isRoundActive: false,
-      scores: {},
+    emitGameState(roomId);
+  },
+  "game:join": (userId, { roomId, password } = {}) => {
+    const user = users[userId];
+    const room = activeGameRooms[roomId];
+    if (!user || !room) return;
+    if (room.inProgress) {
+      io.to(userId).emit(
+        "game:join_error",
+        "This game is already in progress."
+      );
+      return;
+    }
+    if (room.password && room.password !== password) {
+      io.to(userId).emit("game:join_error", "Incorrect password.");
+      return;
+    }
+    if (room.players.some((p) => p.id === user.id)) return;
+    if (room.players.some((p) => hasBlocked(p.id, userId))) {
+      io.to(userId).emit("game:join_error", "You can't join this room.");
+      return;
+    }
+    const definition = gameRegistry.get(room.gameType);
+    if (room.players.length >= definition.maxPlayers) {
+      io.to(userId).emit(
+        "game:join_error",
+        `This ${definition.name} room is full (${definition.maxPlayers} players max).`
+      );
+      return;
+    }
+    if (isSpectating(userId, room)) {
+      room.spectators = room.spectators.filter((id) => id !== userId);
+      io.in(userId).socketsLeave(getSpectatorChannelName(roomId));
+    }
+    room.players.push(user);
+    activeGameRooms[roomId] = room;
+    io.in(userId).socketsJoin(roomId);
+    io.to(userId).emit("game:joined", getPublicGameRoom(room));
+    io.to(roomId).emit("chat message", {
+      room: roomId,
+      text: `${user.name} has joined the game!`,
+      name: "System",
+    });
+    emitGameState(roomId);
+    if (gameStates[roomId] && definition.resync) {
+      definition.resync(getGameContext(roomId), userId);
+    }
+    io.emit("game:roomsList", getPublicRoomList());
+  },
+  "game:leave": (userId, roomId) => {
+    io.in(userId).socketsLeave(roomId);
+    removeSpectator(userId, roomId);
+    handlePlayerLeave(userId, roomId);
+  },
+  // Watching needs the password of a private room but works mid-game and
+  // in full rooms.
+  "game:spectate": (userId, { roomId, password } = {}) => {
+    const user = users[userId];
+    const room = activeGameRooms[roomId];
+    if (!user || !room) return;
+    if (room.players.some((p) => p.id === userId)) return;
+    if (isSpectating(userId, room)) return;
+    if (room.password && room.password !== password) {
+      io.to(userId).emit("game:join_error", "Incorrect password.");
+      return;
+    }
+    if (room.players.some((p) => hasBlocked(p.id, userId))) {
+      io.to(userId).emit("game:join_error", "You can't join this room.");
+      return;
+    }
+    room.spectators = [...(room.spectators || []), userId];
+    activeGameRooms[roomId] = room;
+    const spectatorChannel = getSpectatorChannelName(roomId);
+    io.in(userId).socketsJoin([roomId, spectatorChannel]);
+    io.to(userId).emit("game:spectating", {
+      ...getPublicGameRoom(room),
+      spectatorChannel,
+    });
+    emitSpectatorCount(roomId);
+    emitGameState(roomId, userId);
+    const definition = gameRegistry.get(room.gameType);
+    if (gameStates[roomId] && definition.resync) {
+      definition.resync(getGameContext(roomId), userId);
+    }
+    io.emit("game:roomsList", getPublicRoomList());
+  },
+  "game:start": (userId, roomId) => {
+    const room = activeGameRooms[roomId];
+    const user = users[userId];
+    if (!room || !user || user.id !== room.creatorId || room.inProgress) {
+      return;
+    }
+    const definition = gameRegistry.get(room.gameType);
+    if (room.players.length < definition.minPlayers) {
+      io.to(userId).emit(
+        "game:message",
+        `${definition.name} requires at least ${definition.minPlayers} players to start.`
+      );
+      return;
+    }
+    room.inProgress = true;
+    activeGameRooms[roomId] = room;
+    clearGameTimers(roomId);
+    definition.start(getGameContext(roomId));
+    io.emit("game:roomsList", getPublicRoomList());
+  },
+  "game:stop": (userId, roomId) => {
+    const room = activeGameRooms[roomId];
+    const user = users[userId];
+    if (!room || !user || user.id !== room.creatorId) return;
+    io.to(roomId).emit("game:terminated", "The host has terminated the game.");
+    io.in(roomId).socketsLeave(roomId);
+    closeGame(roomId);
+    io.emit("game:roomsList", getPublicRoomList());
+  },
+  // Generic entry point for game modules; the events below are kept for
+  // existing Doodle and Hangman clients.
+  "game:action": (userId, { room, action, data } = {}) => {
+    if (typeof action !== "string" || action === "chat") return;
+    runGameAction(userId, room, action, data);
+  },
+  "game:draw": (userId, { room, data } = {}) => {
+    runGameAction(userId, room, "draw", data);
+  },
+  "game:clear_canvas": (userId, room) => {
+    runGameAction(userId, room, "clear_canvas");
+  },
+  "hangman:guess": (userId, { room, letter, word } = {}) => {
+    runGameAction(userId, room, "guess", { letter, word });
+  },
+  "game:rematch": (userId, roomId) => {
+    runGameAction(userId, roomId, "rematch");
+  },
+};
+
+const internalGameEventHandlers = {
+  // Chat inside a game room goes to the game first (e.g. Doodle guesses).
+  "game:chat": (userId, { room, text, replyTo } = {}) => {
+    const user = users[userId];
+    if (!user) return;
+    if (runGameAction(userId, room, "chat", { text })) return;
+    broadcastChatMessage(user, room, text, replyTo);
+  },
+  "game:resync": (userId, roomId) => {
+    const room = activeGameRooms[roomId];
+    if (!room || !gameStates[roomId]) return;
+    emitGameState(roomId, userId);
+    const definition = gameRegistry.get(room.gameType);
+    if (definition.resync) definition.resync(getGameContext(roomId), userId);
+  },
+};
+
+function getGameEventRoomId(payload) {
+  if (typeof payload === "string") return payload;
+  return payload && (payload.roomId || payload.room);
+}
+
+function runGameEvent(event, userId, payload) {
+  const handler = gameEventHandlers[event] || internalGameEventHandlers[event];
+  if (handler) handler(userId, payload);
+}
+
+function dispatchGameEvent(event, userId, payload) {
+  const room = activeGameRooms[getGameEventRoomId(payload)];
+  if (room && room.nodeId !== NODE_ID) {
+    pubsub.publish(`game-events#${room.nodeId}`, { event, userId, payload });
+    return;
+  }
+  runGameEvent(event, userId, payload);
+}
+
+pubsub.subscribe(`game-events#${NODE_ID}`, ({ event, userId, payload }) =>
+  runGameEvent(event, userId, payload)
+);
+
+// --- SESSION HANDSHAKE ---
+// A client reconnects with `io(url, { auth: { token } })` using the token it
+// received in the "session" event; anything else starts a fresh session.
+io.use((socket, next) => {
+  const token = socket.handshake.auth && socket.handshake.auth.token;
+  socket.data.userId =
+    verifySessionToken(token) || randomBytes(16).toString("hex");
+  socket.data.ip = getClientIp(socket);
+  if (getActiveBan(socket.data.userId, socket.data.ip)) {
+    return next(new Error("You have been banned from this server."));
+  }
+  next();
+});
+
+// --- SOCKET.IO CONNECTION ---
+io.on("connection", (socket) => {
+  const userId = socket.data.userId;
+  console.log("🟢 User connected:", socket.id);
+  socket.join("public");
+  socket.join(userId);
+  if (!sessions[userId]) {
+    sessions[userId] = { sockets: new Set(), graceTimer: null };
+  }
+  const session = sessions[userId];
+  if (session.graceTimer) {
+    clearTimeout(session.graceTimer);
+    session.graceTimer = null;
+  }
+  session.sockets.add(socket.id);
+  presence[userId] = { nodeId: NODE_ID, awaySince: null };
+  sessionIps[userId] = socket.data.ip;
+  if (!userMessageTimestamps[userId]) userMessageTimestamps[userId] = {};
+  joinChannel(userId, "public");
+  if (!callStates[userId]) {
+    callStates[userId] = { status: "idle", partnerId: null };
+  }
+  if (users[userId]) restoreSession(socket, userId);
+
+  // Moderation is enforced here, before any handler sees the packet. A
+  // missing or null payload becomes {} so handlers can always destructure.
+  socket.use((packet, next) => {
+    if (packet[1] === null || packet[1] === undefined) packet[1] = {};
+    const [event, payload] = packet;
+    if (getActiveBan(userId, socket.data.ip)) {
+      socket.disconnect(true);
+      return;
+    }
+    if (MUTED_EVENTS.has(event)) {
+      const mutedUntil = getMutedUntil(userId);
+      if (mutedUntil) {
+        socket.emit("moderation:muted", { until: mutedUntil });
+        return;
+      }
+    }
+    const joiningRoom =
+      event === "join room"
+        ? payload
+        : ["game:join", "game:spectate"].includes(event) && payload?.roomId;
+    if (joiningRoom && isKickedFrom(userId, joiningRoom)) {
+      socket.emit("moderation:kicked", { room: joiningRoom });
+      return;
+    }
+    if (
+      event.startsWith("moderator:") &&
+      event !== "moderator:auth" &&
+      !moderators.has(userId)
+    ) {
+      socket.emit("moderator:error", "Moderator access required.");
+      return;
+    }
+    next();
+  });
+
+  socket.on("user info", ({ nickname, gender, age } = {}) => {
+    if (
+      typeof nickname !== "string" ||
+      nickname.trim().length === 0 ||
+      nickname.length > 20
+    )
+      return;
+    users[userId] = { id: userId, name: nickname.trim(), gender, age };
+    socket.emit("session", { userId, token: signSessionId(userId) });
+    broadcastUserList();
+    socket.emit("game:roomsList", getPublicRoomList());
+    socket.emit("game:types", gameRegistry.list());
+    socket.emit("channels:list", getChannelList());
+  });
+
+  socket.on("join room", (roomName) => {
+    if (typeof roomName !== "string") return;
+    const channel = hasOwn(channels, roomName) ? channels[roomName] : null;
+    const group = getGroup(roomName);
+    const isOwnPrivateRoom =
+      (acceptedChats.has(roomName) && roomName.split("-").includes(userId)) ||
+      (group && group.members.includes(userId));
+    const gameRoom = hasOwn(activeGameRooms, roomName)
+      ? activeGameRooms[roomName]
+      : null;
+    const spectatedRoomId = getSpectatedRoomId(roomName);
+    const isOwnGameRoom =
+      (gameRoom &&
+        (gameRoom.players.some((p) => p.id === userId) ||
+          isSpectating(userId, gameRoom))) ||
+      (spectatedRoomId &&
+        isSpectating(userId, activeGameRooms[spectatedRoomId]));
+    if (channel && channel.archived) {
+      return socket.emit("channel:error", "This channel has been archived.");
+    }
+    if (!channel && !isOwnPrivateRoom && !isOwnGameRoom) {
+      return socket.emit("channel:error", "That room does not exist.");
+    }
+    socket.join(roomName);
+    if (channel) joinChannel(userId, roomName);
+    if (hasOwn(chatHistory, roomName)) {
+      socket.emit(
+        "room history",
+        chatHistory[roomName]
+          .filter((entry) => !hasBlocked(userId, entry.msg.id))
+          .map((entry) => toClientMessage(entry.msg))
+      );
+    }
+  });
+
+  socket.on("chat message", ({ room, text, replyTo } = {}) => {
+    const user = users[userId];
+    if (!user || !isValidMessageText(text)) return;
+    if (!socket.rooms.has(room)) return;
+    if (activeGameRooms[room] && isSpectating(userId, activeGameRooms[room])) {
+      socket.emit(
+        "rate limit",
+        "Spectators can only chat in the spectator channel."
+      );
+      return;
+    }
+    if (replyTo && !getReplyParent(room, replyTo)) {
+      socket.emit("rate limit", "The message you replied to is gone.");
+      return;
+    }
+    if (getRoomKind(room) === "private") {
+      const partnerId = room.split("-").find((id) => id !== userId);
+      if (
+        isAway(partnerId) &&
+        getOfflineQueue(partnerId).length >= OFFLINE_QUEUE_MAX
+      ) {
+        socket.emit(
+          "rate limit",
+          "Your partner is offline and has too many waiting messages."
+        );
+        return;
+      }
+    }
+    const now = Date.now();
+    if (!consumeRateLimit(userId, room, now)) {
+      socket.emit("rate limit", "You are sending messages too quickly.");
+      return;
+    }
+    const filtered = messagePipeline.run({
+      text,
+      userId,
+      room,
+      kind: getRoomKind(room),
+      now,
+    });
+    if (!filtered.ok) {
+      socket.emit("rate limit", filtered.reason);
+      return;
+    }
+    if (activeGameRooms[room]) {
+      dispatchGameEvent("game:chat", userId, {
+        room,
+        text: filtered.text,
+        replyTo,
+      });
+      return;
+    }
+    broadcastChatMessage(user, room, filtered.text, replyTo);
+  });
+
+  // --- DELIVERY RECEIPTS ---
+  // Only the recipient in a private room can move its partner's messages
+  // along sent -> delivered -> read.
+  const isPrivateRoomMember = (room) =>
+    acceptedChats.has(room) && room.split("-").includes(userId);
+
+  const acknowledgeMessages = (room, messageIds, status) => {
+    if (!isPrivateRoomMember(room)) return;
+    if (!Array.isArray(messageIds)) return;
+    const partnerId = room.split("-").find((id) => id !== userId);
+    const ownedByPartner = messageIds.filter(
+      (messageId) => messageSenders[messageId] === partnerId
+    );
+    const changed = advanceMessageStatus(room, ownedByPartner, status);
+    if (changed.length === 0) return;
+    io.to(partnerId).emit("message:status", {
+      room,
+      messageIds: changed,
+      status,
+    });
+    if (status === "read") {
+      changed.forEach((messageId) =>
+        io.to(partnerId).emit("message was read", { room, messageId })
+      );
+    }
+  };
+
+  socket.on("message:delivered", ({ room, messageIds } = {}) => {
+    acknowledgeMessages(room, messageIds, "delivered");
+  });
+
+  socket.on("message read", ({ room, messageId } = {}) => {
+    acknowledgeMessages(room, [messageId], "read");
+  });
+
+  socket.on("message:read_up_to", ({ room, messageId } = {}) => {
+    if (!isPrivateRoomMember(room)) return;
+    const history = chatHistory[room] || [];
+    const index = history.findIndex((e) => e.msg.messageId === messageId);
+    if (index === -1) return;
+    acknowledgeMessages(
+      room,
+      history.slice(0, index + 1).map((e) => e.msg.messageId),
+      "read"
+    );
+  });
+
+  // Edits and deletes are limited to the sender, within the edit window.
+  const getOwnEditableEntry = (room, messageId) => {
+    if (!socket.rooms.has(room)) return null;
+    const entry = findHistoryEntry(room, messageId);
+    if (
+      !entry ||
+      entry.msg.deleted ||
+      messageSenders[messageId] !== userId ||
+      Date.now() - entry.timestamp > MESSAGE_EDIT_WINDOW_MS
+    ) {
+      socket.emit("rate limit", "This message can no longer be changed.");
+      return null;
+    }
+    return entry;
+  };
+
+  socket.on("message:edit", ({ room, messageId, text } = {}) => {
+    if (!users[userId] || !isValidMessageText(text)) return;
+    // Game chat is gated by the game (e.g. Doodle guesses), and an edit would
+    // slip past it.
+    if (hasOwn(activeGameRooms, room)) {
+      socket.emit("rate limit", "Messages in game rooms can't be edited.");
+      return;
+    }
+    if (!getOwnEditableEntry(room, messageId)) return;
+    const filtered = messagePipeline.run({
+      text,
+      userId,
+      room,
+      kind: getRoomKind(room),
+      now: Date.now(),
     });
+    if (!filtered.ok) {
+      socket.emit("rate limit", filtered.reason);
+      return;
+    }
+    const msg = updateHistoryMessage(room, messageId, (m) => ({
+      ...m,
+      text: filtered.text.trim(),
+      editedAt: Date.now(),
+    }));
+    updateReplySnippets(room, messageId, msg);
+    io.to(room).emit("message:edited", {
+      room,
+      messageId,
+      text: msg.text,
+      editedAt: msg.editedAt,
+    });
+  });
+
+  socket.on("message:delete", ({ room, messageId } = {}) => {
+    if (!users[userId]) return;
+    if (!getOwnEditableEntry(room, messageId)) return;
+    const msg = updateHistoryMessage(room, messageId, (m) => ({
+      ...m,
+      text: "",
+      deleted: true,
+      reactions: {},
+    }));
+    updateReplySnippets(room, messageId, msg);
+    io.to(room).emit("message:deleted", { room, messageId });
+  });
+
+  socket.on("message:react", ({ room, messageId, emoji } = {}) => {
+    if (!users[userId] || !socket.rooms.has(room)) return;
+    if (
+      typeof emoji !== "string" ||
+      emoji.length === 0 ||
+      emoji.length > MAX_EMOJI_LENGTH ||
+      /\s/.test(emoji)
+    )
+      return;
+    const entry = findHistoryEntry(room, messageId);
+    if (!entry || entry.msg.deleted) return;
+    const reactions = { ...(entry.msg.reactions || {}) };
+    const reactors = reactions[emoji] || [];
+    if (reactors.includes(userId)) {
+      reactions[emoji] = reactors.filter((id) => id !== userId);
+      if (reactions[emoji].length === 0) delete reactions[emoji];
+    } else {
+      if (
+        !reactions[emoji] &&
+        Object.keys(reactions).length >= MAX_REACTIONS_PER_MESSAGE
+      )
+        return;
+      reactions[emoji] = [...reactors, userId];
+    }
+    const msg = updateHistoryMessage(room, messageId, (m) => ({
+      ...m,
+      reactions,
+    }));
+    io.to(room).emit("message:reactions", {
+      room,
+      messageId,
+      reactions: toClientMessage(msg).reactions,
+    });
+  });
+
+  socket.on("thread:fetch", ({ room, messageId } = {}) => {
+    if (!socket.rooms.has(room)) return;
+    const entry = findHistoryEntry(room, messageId);
+    if (!entry) {
+      return socket.emit("thread:messages", { room, messageId, messages: [] });
+    }
+    const threadId = entry.msg.threadId || entry.msg.messageId;
+    const messages = chatHistory[room]
+      .filter(
+        ({ msg }) => msg.messageId === threadId || msg.threadId === threadId
+      )
+      .map((e) => toClientMessage(e.msg));
+    socket.emit("thread:messages", { room, messageId: threadId, messages });
+  });
+
+  socket.on("typing", ({ room } = {}) => {
+    const user = users[userId];
+    if (user) {
+      socket
+        .to(room)
+        .except(getBlockersOf(userId))
+        .emit("typing", { name: user.name, room });
+    }
+  });
+
+  socket.on("stop typing", ({ room } = {}) => {
+    const user = users[userId];
+    if (user) {
+      socket
+        .to(room)
+        .except(getBlockersOf(userId))
+        .emit("stop typing", { name: user.name, room });
+    }
+  });
+
+  socket.on("private:initiate", ({ targetId } = {}) => {
+    const requester = users[userId];
+    const target = users[targetId];
+    if (!requester || !target) {
+      return socket.emit("private:request_error", "User not found.");
+    }
+    if (hasBlocked(targetId, userId)) return;
+    const privateRoomId = [userId, targetId].sort().join("-");
+    const declineKey = `${targetId}-${userId}`;
+    if (declinedChats.has(declineKey)) {
+      return socket.emit(
+        "private:request_error",
+        `${target.name} has declined your recent request. They must initiate the next chat.`
+      );
+    }
+    if (acceptedChats.has(privateRoomId)) {
+      const roomInfo = { id: privateRoomId, name: `Private Chat` };
+      io.to(userId).emit("private:request_accepted", {
+        room: roomInfo,
+        withUser: target,
+      });
+      return;
+    }
+    if (
+      pendingPrivateRequests[userId] ||
+      Object.values(pendingPrivateRequests).includes(userId)
+    ) {
+      return socket.emit(
+        "private:request_error",
+        "You already have a pending request."
+      );
+    }
+    pendingPrivateRequests[userId] = targetId;
+    io.to(targetId).emit("private:request_incoming", { fromUser: requester });
+  });
+
+  socket.on("private:accept", ({ requesterId } = {}) => {
+    const accepter = users[userId];
+    const requester = users[requesterId];
+    if (
+      !accepter ||
+      !requester ||
+      pendingPrivateRequests[requesterId] !== userId
+    ) {
+      return;
+    }
+    delete pendingPrivateRequests[requesterId];
+    const privateRoomId = [requesterId, userId].sort().join("-");
+    acceptedChats.add(privateRoomId);
+    const declineKey1 = `${userId}-${requesterId}`;
+    const declineKey2 = `${requesterId}-${userId}`;
+    declinedChats.delete(declineKey1);
+    declinedChats.delete(declineKey2);
+    const roomInfo = { id: privateRoomId, name: `Private Chat` };
+    io.to(requesterId).emit("private:request_accepted", {
+      room: roomInfo,
+      withUser: accepter,
+    });
+    io.to(userId).emit("private:request_accepted", {
+      room: roomInfo,
+      withUser: requester,
+    });
+  });
+
+  socket.on("private:decline", ({ requesterId, reason } = {}) => {
+    const decliner = users[userId];
+    if (!decliner || !users[requesterId]) return;
+    if (pendingPrivateRequests[requesterId] === userId) {
+      delete pendingPrivateRequests[requesterId];
+    }
+    const declineKey = `${userId}-${requesterId}`;
+    declinedChats.add(declineKey);
+    io.to(requesterId).emit("private:request_declined", {
+      byUser: decliner,
+      reason,
+    });
+  });
+
+  socket.on("private:leave", ({ room } = {}) => {
+    if (activeMatches[userId] && activeMatches[userId].room === room) {
+      endMatch(userId);
+      return;
+    }
+    const user = users[userId];
+    if (user) {
+      socket
+        .to(room)
+        .emit("private:partner_left", { room, partnerName: user.name });
+    }
+    socket.leave(room);
+    acceptedChats.delete(room);
+  });
+
+  // --- MATCHMAKING ---
+  socket.on("match:enqueue", (request) => {
+    if (!users[userId]) return;
+    const match = activeMatches[userId];
+    if (match && acceptedChats.has(match.room)) {
+      return socket.emit(
+        "match:error",
+        "Skip your current partner before looking for a new one."
+      );
+    }
+    delete activeMatches[userId];
+    enqueueForMatch(userId, normalizeMatchRequest(request));
+  });
+
+  socket.on("match:cancel", () => {
+    if (!matchQueue[userId]) return;
+    delete matchQueue[userId];
+    io.to(userId).emit("match:cancelled");
+  });
+
+  // "Next partner": end the current match and go straight back in the queue
+  // with the same preferences.
+  socket.on("match:skip", () => {
+    const match = endMatch(userId, true);
+    if (!match || !users[userId]) return;
+    const { language, preferences } = match;
+    enqueueForMatch(userId, { language, preferences });
+  });
+
+  // --- BLOCKING ---
+  const emitBlockList = () =>
+    socket.emit(
+      "user:block_list",
+      (blockLists[userId] || []).map((id) => users[id]).filter(Boolean)
+    );
+
+  socket.on("user:block", ({ targetId } = {}) => {
+    if (!users[userId] || !users[targetId] || targetId === userId) return;
+    const blocked = blockLists[userId] || [];
+    if (blocked.includes(targetId) || blocked.length >= MAX_BLOCKED_USERS) {
+      return;
+    }
+    blockLists[userId] = [...blocked, targetId];
+    if (activeMatches[userId] && activeMatches[userId].partnerId === targetId) {
+      endMatch(userId);
+    }
+    const privateRoomId = [userId, targetId].sort().join("-");
+    if (acceptedChats.has(privateRoomId)) {
+      io.to(targetId).emit("private:partner_left", {
+        room: privateRoomId,
+        partnerName: users[userId].name,
+      });
+      io.in(privateRoomId).socketsLeave(privateRoomId);
+      acceptedChats.delete(privateRoomId);
+    }
+    if (pendingPrivateRequests[targetId] === userId) {
+      delete pendingPrivateRequests[targetId];
+    }
+    if (pendingPrivateRequests[userId] === targetId) {
+      delete pendingPrivateRequests[userId];
+    }
+    if (callStates[userId]?.partnerId === targetId) endCallCleanup(userId);
+    emitBlockList();
+    broadcastUserList();
+  });
+
+  socket.on("user:unblock", ({ targetId } = {}) => {
+    const blocked = blockLists[userId] || [];
+    if (!blocked.includes(targetId)) return;
+    const remaining = blocked.filter((id) => id !== targetId);
+    if (remaining.length > 0) blockLists[userId] = remaining;
+    else delete blockLists[userId];
+    emitBlockList();
+    broadcastUserList();
+  });
+
+  // --- GROUP ROOMS ---
+  socket.on("group:create", ({ name } = {}) => {
+    const user = users[userId];
+    if (!user) return;
+    const groupId = `group-${randomBytes(8).toString("hex")}`;
+    const group = {
+      id: groupId,
+      name:
+        typeof name === "string" && name.trim()
+          ? name.trim().slice(0, 30)
+          : `${user.name}'s Group`,
+      ownerId: userId,
+      members: [userId],
+      invites: {},
+      createdAt: Date.now(),
+    };
+    groupRooms[groupId] = group;
+    io.in(userId).socketsJoin(groupId);
+    socket.emit("group:joined", getGroupPayload(group));
   });
-  socket.on("game:join", ({ roomId, password }) => {
-    const user = users[socket.id];
-    const room = activeGameRooms[roomId];
-    if (!user || !room) return;
-    if (room.inProgress) {
-      socket.emit("game:join_error", "This game is already in progress.");
-      return;
+
+  // Group invites follow the private-request rules: a declined invite blocks
+  // the inviter until the invitee reaches out, and an invite stays pending
+  // until it is answered.
+  socket.on("group:invite", ({ groupId, targetId } = {}) => {
+    const group = getGroup(groupId);
+    const inviter = users[userId];
+    const target = users[targetId];
+    if (!group || !inviter || group.ownerId !== userId) return;
+    if (!target) {
+      return socket.emit("group:error", "User not found.");
     }
-    if (room.password && room.password !== password) {
-      socket.emit("game:join_error", "Incorrect password.");
-      return;
+    if (group.members.includes(targetId) || hasOwn(group.invites, targetId)) {
+      return socket.emit(
+        "group:error",
+        `${target.name} is already in or invited to this group.`
+      );
     }
-    if (room.players.some((p) => p.id === user.id)) return;
-    if (room.gameType === "hangman" && room.players.length >= 2) {
-      socket.emit(
-        "game:join_error",
-        "This Hangman room is full (2 players max)."
+    if (hasBlocked(targetId, userId)) return;
+    if (declinedChats.has(`${targetId}-${userId}`)) {
+      return socket.emit(
+        "group:error",
+        `${target.name} has declined your recent request. They must initiate the next chat.`
       );
-      return;
     }
-    room.players.push(user);
-    socket.join(roomId);
-    socket.emit("game:joined", room);
-    io.to(roomId).emit("chat message", {
-      room: roomId,
-      text: `${user.name} has joined the game!`,
-      name: "System",
+    const seatsTaken = group.members.length + Object.keys(group.invites).length;
+    if (seatsTaken >= GROUP_MAX_MEMBERS) {
+      return socket.emit(
+        "group:error",
+        `Groups are limited to ${GROUP_MAX_MEMBERS} members.`
+      );
+    }
+    groupRooms[groupId] = {
+      ...group,
+      invites: { ...group.invites, [targetId]: userId },
+    };
+    io.to(targetId).emit("group:invite_incoming", {
+      group: { groupId, name: group.name },
+      fromUser: inviter,
     });
-    const gameState = gameStates[roomId] || {};
-    io.to(roomId).emit("game:state", {
-      ...gameState,
-      gameType: room.gameType,
-      players: room.players,
-      creatorId: room.creatorId,
-      isRoundActive: gameState.isRoundActive || false,
+  });
+
+  socket.on("group:accept", ({ groupId } = {}) => {
+    const group = getGroup(groupId);
+    if (!group || !users[userId] || !group.invites[userId]) return;
+    const inviterId = group.invites[userId];
+    const invites = { ...group.invites };
+    delete invites[userId];
+    const updated = {
+      ...group,
+      invites,
+      members: [...group.members, userId],
+    };
+    groupRooms[groupId] = updated;
+    declinedChats.delete(`${userId}-${inviterId}`);
+    declinedChats.delete(`${inviterId}-${userId}`);
+    io.in(userId).socketsJoin(groupId);
+    socket.emit("group:joined", getGroupPayload(updated));
+    io.to(groupId).emit("group:members", getGroupPayload(updated));
+  });
+
+  socket.on("group:decline", ({ groupId, reason } = {}) => {
+    const group = getGroup(groupId);
+    const decliner = users[userId];
+    if (!group || !decliner || !group.invites[userId]) return;
+    const inviterId = group.invites[userId];
+    const invites = { ...group.invites };
+    delete invites[userId];
+    groupRooms[groupId] = { ...group, invites };
+    declinedChats.add(`${userId}-${inviterId}`);
+    io.to(inviterId).emit("group:invite_declined", {
+      groupId,
+      byUser: decliner,
+      reason,
     });
-    if (gameState.isRoundActive && gameState.drawingHistory) {
-      socket.emit("game:drawing_history", gameState.drawingHistory);
-    }
-    io.emit("game:roomsList", getPublicRoomList());
   });
-  socket.on("game:leave", (roomId) => {
-    socket.leave(roomId);
-    handlePlayerLeave(socket.id, roomId);
+
+  socket.on("group:kick", ({ groupId, targetId } = {}) => {
+    const group = getGroup(groupId);
+    if (!group || group.ownerId !== userId || targetId === userId) return;
+    if (!group.members.includes(targetId)) return;
+    removeGroupMember(groupId, targetId);
+    io.to(targetId).emit("group:kicked", { groupId, name: group.name });
   });
-  socket.on("game:start", (roomId) => {
-    const room = activeGameRooms[roomId];
-    const user = users[socket.id];
-    if (!room || !user || user.id !== room.creatorId) return;
-    if (room.gameType === "hangman" && room.players.length !== 2) {
-      socket.emit(
-        "game:message",
-        `Hangman requires exactly 2 players to start.`
-      );
-      return;
+
+  socket.on("group:leave", ({ groupId } = {}) => {
+    removeGroupMember(groupId, userId);
+  });
+
+  socket.on("group:members", ({ groupId } = {}) => {
+    const group = getGroup(groupId);
+    if (!group || !group.members.includes(userId)) return;
+    socket.emit("group:members", getGroupPayload(group));
+  });
+
+  // --- STATEFUL AUDIO CALL (WEBRTC) SIGNALING ---
+  socket.on("call:ice_servers", () => {
+    if (!users[userId]) {
+      return socket.emit("call:error", "Set a nickname before calling.");
     }
-    if (room.gameType === "doodle" && room.players.length < 2) {
-      socket.emit(
-        "game:message",
-        `Doodle Dash requires at least 2 players to start.`
-      );
-      return;
+    socket.emit("call:ice_servers", getIceServers(userId));
+  });
+
+  socket.on("call:capabilities", (capabilities) => {
+    if (!Array.isArray(capabilities)) return;
+    const supported = CALL_MEDIA_TYPES.filter((media) =>
+      capabilities.includes(media)
+    );
+    callCapabilities[userId] = supported;
+  });
+
+  socket.on("call:offer", ({ targetId, offer, media } = {}) => {
+    const caller = users[userId];
+    const target = users[targetId];
+    if (!caller || !target || hasBlocked(targetId, userId)) return;
+
+    if (callStates[userId]?.status !== "idle") {
+      return socket.emit("call:error", "You are already in a call process.");
     }
-    room.inProgress = true;
-    if (room.gameType === "doodle") {
-      const initialScores = {};
-      room.players.forEach((p) => (initialScores[p.id] = 0));
-      gameStates[roomId] = {
-        gameType: "doodle",
-        players: room.players.map((p) => p.id),
-        scores: initialScores,
-        isRoundActive: false,
-        creatorId: room.creatorId,
-        currentPlayerIndex: -1,
-        drawingHistory: [],
-        usedWords: new Set(),
-      };
-      startNewDoodleRound(roomId);
-    } else if (room.gameType === "hangman") {
-      gameStates[roomId] = {
-        gameType: "hangman",
-        players: room.players.map((p) => p.id),
-        isRoundActive: false,
-        creatorId: room.creatorId,
-      };
-      startNewHangmanRound(roomId);
+    if (callStates[targetId]?.status !== "idle") {
+      return socket.emit("call:busy", {
+        from: { id: targetId, name: target.name },
+      });
     }
-    io.emit("game:roomsList", getPublicRoomList());
-  });
-  socket.on("game:stop", (roomId) => {
-    const room = activeGameRooms[roomId];
-    const user = users[socket.id];
-    if (!room || !user || user.id !== room.creatorId) return;
-    io.to(roomId).emit("game:terminated", "The host has terminated the game.");
-    const socketsInRoom = io.sockets.adapter.rooms.get(roomId);
-    if (socketsInRoom) {
-      socketsInRoom.forEach((socketId) =>
-        io.sockets.sockets.get(socketId).leave(roomId)
-      );
+
+    const requested = getCallMedia(media);
+    const call = {
+      media: requested,
+      callId: randomUUID(),
+      callerId: userId,
+      startedAt: Date.now(),
+    };
+    console.log(`📞 [Stateful] Offer from ${caller.name} to ${target.name}`);
+    callStates[userId] = { status: "offering", partnerId: targetId, ...call };
+    callStates[targetId] = { status: "receiving", partnerId: userId, ...call };
+    io.to(targetId).emit("call:incoming", {
+      from: { id: userId, name: caller.name },
+      offer,
+      media: requested,
+      callId: call.callId,
+    });
+    // The answer may land on another node, so the timer only acts if this
+    // exact call is still ringing when it fires.
+    setTimeout(() => {
+      const callState = callStates[userId];
+      if (
+        callState?.callId !== call.callId ||
+        callState.status !== "offering"
+      ) {
+        return;
+      }
+      console.log(`⏰ [Stateful] Call from ${caller.name} was not answered`);
+      logCall(userId, "missed");
+      io.to(userId).emit("call:missed", {
+        callId: call.callId,
+        to: { id: targetId, name: target.name },
+      });
+      io.to(targetId).emit("call:missed", {
+        callId: call.callId,
+        from: { id: userId, name: caller.name },
+      });
+      resetCallState(userId);
+      if (callStates[targetId]?.callId === call.callId) {
+        resetCallState(targetId);
+      }
+    }, CALL_RING_TIMEOUT_MS);
+    const capabilities = callCapabilities[targetId];
+    if (capabilities && !capabilities.includes(requested)) {
+      reportCallMediaMismatch(userId, targetId, requested, null);
     }
-    delete activeGameRooms[roomId];
-    delete gameStates[roomId];
-    io.emit("game:roomsList", getPublicRoomList());
   });
-  socket.on("game:draw", ({ room, data }) => {
-    const gameState = gameStates[room];
+
+  socket.on("call:answer", ({ targetId, answer, media } = {}) => {
+    const caller = users[targetId];
+    const callee = users[userId];
     if (
-      gameState &&
-      gameState.isRoundActive &&
-      socket.id === gameState.drawer.id
-    ) {
-      gameState.drawingHistory.push(data);
-      socket.to(room).emit("game:draw", data);
+      !caller ||
+      !callee ||
+      callStates[userId]?.partnerId !== targetId ||
+      callStates[targetId]?.partnerId !== userId
+    )
+      return;
+
+    // The callee may answer with less than was offered, e.g. audio only.
+    const requested = callStates[targetId].media || "audio";
+    const accepted = getCallMedia(media, requested);
+    console.log(`✅ [Stateful] Answer from ${callee.name} to ${caller.name}`);
+    connectCall(userId, targetId, accepted);
+    io.to(targetId).emit("call:answer_received", {
+      from: userId,
+      answer,
+      media: accepted,
+    });
+    if (accepted !== requested) {
+      reportCallMediaMismatch(targetId, userId, requested, accepted);
     }
   });
-  socket.on("game:clear_canvas", (room) => {
-    const gameState = gameStates[room];
-    if (gameState && gameState.drawer.id === socket.id) {
-      gameState.drawingHistory = [];
-      io.to(room).emit("game:clear_canvas");
+
+  // Mid-call media changes (audio -> video, starting a screen share) need a
+  // fresh offer/answer round on the existing connection.
+  socket.on("call:renegotiate", ({ targetId, offer, media } = {}) => {
+    const callState = callStates[userId];
+    if (!callState || callState.partnerId !== targetId) return;
+    if (callState.status !== "connected") {
+      return socket.emit(
+        "call:error",
+        callState.status === "renegotiating"
+          ? "A media change is already in progress."
+          : "The call is not connected yet."
+      );
+    }
+    const requested = getCallMedia(media, callState.media);
+    callStates[userId] = {
+      ...callState,
+      status: "renegotiating",
+      pendingMedia: requested,
+      renegotiatedBy: userId,
+    };
+    callStates[targetId] = {
+      ...callStates[targetId],
+      status: "renegotiating",
+      pendingMedia: requested,
+      renegotiatedBy: userId,
+    };
+    io.to(targetId).emit("call:renegotiate_incoming", {
+      from: userId,
+      offer,
+      media: requested,
+    });
+    const capabilities = callCapabilities[targetId];
+    if (capabilities && !capabilities.includes(requested)) {
+      reportCallMediaMismatch(userId, targetId, requested, null);
     }
   });
-  socket.on("hangman:guess", ({ room, letter }) => {
-    const user = users[socket.id];
-    const gameState = gameStates[room];
+
+  socket.on("call:renegotiate_answer", ({ targetId, answer, media } = {}) => {
+    const callState = callStates[userId];
     if (
-      !user ||
-      !gameState ||
-      !gameState.isRoundActive ||
-      gameState.gameType !== "hangman"
+      !callState ||
+      callState.status !== "renegotiating" ||
+      callState.renegotiatedBy !== targetId ||
+      callStates[targetId]?.partnerId !== userId
     )
       return;
-    if (socket.id !== gameState.currentPlayerTurn) {
-      socket.emit("rate limit", "It's not your turn to guess.");
+    const requested = callState.pendingMedia;
+    const accepted = getCallMedia(media, requested);
+    connectCall(userId, targetId, accepted);
+    io.to(targetId).emit("call:renegotiate_answered", {
+      from: userId,
+      answer,
+      media: accepted,
+    });
+    if (accepted !== requested) {
+      reportCallMediaMismatch(targetId, userId, requested, accepted);
+    }
+  });
+
+  socket.on("call:renegotiate_decline", ({ targetId, reason } = {}) => {
+    const callState = callStates[userId];
+    if (
+      !callState ||
+      callState.status !== "renegotiating" ||
+      callState.renegotiatedBy !== targetId
+    )
       return;
+    connectCall(userId, targetId, callState.media);
+    io.to(targetId).emit("call:renegotiate_declined", {
+      from: userId,
+      reason,
+      media: callState.media,
+    });
+  });
+
+  socket.on("call:ice_candidate", ({ targetId, candidate } = {}) => {
+    if (callStates[userId]?.partnerId === targetId) {
+      io.to(targetId).emit("call:ice_candidate_received", {
+        from: userId,
+        candidate,
+      });
     }
-    handleHangmanGuess(socket, user, room, letter, gameState);
   });
 
-  socket.on("disconnect", () => {
-    console.log("🔴 User disconnected:", socket.id);
-    endCallCleanup(socket.id);
-    const user = users[socket.id];
-    if (user) {
-      for (const roomId in activeGameRooms) {
-        handlePlayerLeave(socket.id, roomId);
-      }
-      for (const room of acceptedChats) {
-        if (room.includes(socket.id)) {
-          socket
-            .to(room)
-            .emit("private:partner_left", { room, partnerName: user.name });
-          acceptedChats.delete(room);
-        }
-      }
+  socket.on("call:decline", ({ targetId, reason } = {}) => {
+    const decliner = users[userId];
+    if (!decliner) return;
+    console.log(`❌ [Stateful] Call declined by ${decliner.name}`);
+    if (callStates[userId]?.partnerId === targetId) logCall(userId, "declined");
+    io.to(targetId).emit("call:declined", {
+      from: { id: userId, name: decliner.name },
+      reason,
+    });
+    resetCallState(userId);
+    resetCallState(targetId);
+  });
+
+  socket.on("call:end", () => {
+    endCallCleanup(userId);
+  });
+
+  socket.on("call:history", () => {
+    socket.emit("call:history", [...(callHistory[userId] || [])].reverse());
+  });
+
+  // --- VOICE ROOMS ---
+  socket.on("voice:join", ({ room } = {}) => {
+    const user = users[userId];
+    if (!user || isVoiceParticipant(userId, room)) return;
+    if (!canUseVoiceRoom(userId, room)) {
+      return socket.emit("voice:error", "You are not in that room.");
     }
-    if (pendingPrivateRequests[socket.id]) {
-      delete pendingPrivateRequests[socket.id];
+    const participantIds = Object.keys(getVoiceParticipants(room));
+    if (participantIds.length >= VOICE_ROOM_MAX_PARTICIPANTS) {
+      return socket.emit("voice:error", "This voice room is full.");
     }
-    for (const requesterId in pendingPrivateRequests) {
-      if (pendingPrivateRequests[requesterId] === socket.id) {
-        io.to(requesterId).emit("private:request_declined", {
-          byUser: { name: user ? user.name : "A user" },
-          reason: "offline",
-        });
-        delete pendingPrivateRequests[requesterId];
-      }
+    if (
+      participantIds.some(
+        (id) => hasBlocked(id, userId) || hasBlocked(userId, id)
+      )
+    ) {
+      return socket.emit("voice:error", "You can't join this voice room.");
     }
-    const chatPairsToRemove = [];
-    for (const pair of acceptedChats) {
-      if (pair.includes(socket.id)) chatPairsToRemove.push(pair);
+    voiceRooms[room] = {
+      participants: {
+        ...getVoiceParticipants(room),
+        [userId]: { muted: false, speaking: false },
+      },
+    };
+    const channel = getVoiceChannelName(room);
+    io.in(userId).socketsJoin(channel);
+    // The newcomer sends an offer to every peer already in the room.
+    io.to(userId).emit("voice:joined", getVoiceRoomPayload(room));
+    emitVoiceEvent(room, "voice:participant_joined", { room, user });
+  });
+
+  socket.on("voice:leave", ({ room } = {}) => {
+    leaveVoiceRoom(userId, room);
+  });
+
+  socket.on("voice:mute", ({ room, muted } = {}) => {
+    if (!isVoiceParticipant(userId, room)) return;
+    updateVoiceParticipant(userId, room, { muted: !!muted, speaking: false });
+  });
+
+  socket.on("voice:speaking", ({ room, speaking } = {}) => {
+    const participant =
+      isVoiceParticipant(userId, room) && getVoiceParticipants(room)[userId];
+    if (!participant || participant.muted) return;
+    if (participant.speaking === !!speaking) return;
+    updateVoiceParticipant(userId, room, { speaking: !!speaking });
+  });
+
+  // Offers, answers and ICE candidates are relayed between one pair of peers.
+  [
+    ["voice:offer", "offer"],
+    ["voice:answer", "answer"],
+    ["voice:ice_candidate", "candidate"],
+  ].forEach(([event, field]) => {
+    socket.on(event, (payload) => {
+      const { room, targetId } = payload || {};
+      if (
+        targetId === userId ||
+        !isVoiceParticipant(userId, room) ||
+        !isVoiceParticipant(targetId, room)
+      )
+        return;
+      io.to(targetId).emit(event, {
+        room,
+        from: userId,
+        [field]: payload[field],
+      });
+    });
+  });
+
+  // --- CHANNELS ---
+  socket.on("channels:list", () => {
+    socket.emit("channels:list", getChannelList());
+  });
+
+  socket.on("channel:leave", (channelId) => {
+    if (!channels[channelId]) return;
+    socket.leave(channelId);
+    const stillJoined = [...(sessions[userId] ? sessions[userId].sockets : [])]
+      .map((id) => io.sockets.sockets.get(id))
+      .some((s) => s && s.rooms.has(channelId));
+    if (!stillJoined) leaveChannel(userId, channelId);
+  });
+
+  socket.on(
+    "channels:create",
+    ({
+      name,
+      description,
+      ageGroup,
+      language,
+      rateLimit,
+      historyMinutes,
+    } = {}) => {
+      if (!moderators.has(userId)) {
+        return socket.emit("moderator:error", "Moderator access required.");
+      }
+      if (
+        typeof name !== "string" ||
+        name.trim().length < 3 ||
+        name.length > 30
+      ) {
+        return socket.emit(
+          "channel:error",
+          "Channel names must be 3-30 characters."
+        );
+      }
+      const channelId = `channel-${name
+        .trim()
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, "-")
+        .replace(/^-|-$/g, "")}`;
+      if (channels[channelId] && !channels[channelId].archived) {
+        return socket.emit("channel:error", "That channel already exists.");
+      }
+      const count = Number(rateLimit && rateLimit.count);
+      const seconds = Number(rateLimit && rateLimit.seconds);
+      channels[channelId] = {
+        id: channelId,
+        name: name.trim(),
+        description:
+          typeof description === "string" ? description.slice(0, 140) : "",
+        ageGroup: CHANNEL_AGE_GROUPS.includes(ageGroup) ? ageGroup : "all",
+        language:
+          typeof language === "string" && /^[a-z]{2}$/.test(language)
+            ? language
+            : null,
+        rateLimit: {
+          count: count > 0 ? count : RATE_LIMIT_COUNT,
+          seconds: seconds > 0 ? seconds : RATE_LIMIT_SECONDS,
+        },
+        historyMinutes: Math.min(
+          Number(historyMinutes) > 0 ? Number(historyMinutes) : 5,
+          MAX_CHANNEL_HISTORY_MINUTES
+        ),
+        archived: false,
+        createdAt: Date.now(),
+      };
+      io.emit("channels:list", getChannelList());
     }
-    chatPairsToRemove.forEach((pair) => acceptedChats.delete(pair));
-    const declinedPairsToRemove = [];
-    for (const pair of declinedChats) {
-      if (pair.includes(socket.id)) declinedPairsToRemove.push(pair);
+  );
+
+  socket.on("channels:archive", (channelId) => {
+    if (!moderators.has(userId)) {
+      return socket.emit("moderator:error", "Moderator access required.");
     }
-    declinedPairsToRemove.forEach((pair) => declinedChats.delete(pair));
-    delete users[socket.id];
-    delete userMessageTimestamps[socket.id];
-    delete callStates[socket.id];
-    io.emit("user list", Object.values(users));
+    const channel = channels[channelId];
+    if (!channel || channelId === "public") return;
+    channels[channelId] = { ...channel, archived: true };
+    io.to(channelId).emit("channel:archived", { channelId });
+    io.in(channelId).socketsLeave(channelId);
+    delete channelMembers[channelId];
+    delete chatHistory[channelId];
+    io.emit("channels:list", getChannelList());
   });
-});
 
-// --- Game Logic Functions (Unchanged) ---
-function handleDoodleGuess(socket, user, room, text, gameState) {
-  if (socket.id === gameState.drawer.id) {
-    socket.emit("rate limit", "You cannot chat while drawing.");
-    return;
-  }
-  if (text.trim().toLowerCase() === gameState.word.toLowerCase()) {
-    clearTimeout(gameState.roundTimer);
-    const drawerSocketId = gameState.drawer.id;
-    gameState.scores[socket.id] = (gameState.scores[socket.id] || 0) + 2;
-    if (users[drawerSocketId]) {
-      gameState.scores[drawerSocketId] =
-        (gameState.scores[drawerSocketId] || 0) + 1;
-    }
-    io.to(room).emit("game:correct_guess", {
-      guesser: user,
-      word: gameState.word,
-    });
-    const winnerId = Object.keys(gameState.scores).find(
-      (id) => gameState.scores[id] >= WINNING_SCORE
+  // --- MODERATION ---
+  socket.on("report", ({ room, messageId, reason } = {}) => {
+    const reporter = users[userId];
+    if (!reporter || !socket.rooms.has(room)) return;
+    const entry = (chatHistory[room] || []).find(
+      (e) => e.msg.messageId === messageId
     );
-    if (winnerId && users[winnerId]) {
-      io.to(room).emit("game:over", {
-        winner: users[winnerId],
-        scores: { ...gameState.scores },
-      });
-      delete activeGameRooms[room];
-      delete gameStates[room];
-      io.emit("game:roomsList", getPublicRoomList());
-    } else {
-      setTimeout(() => startNewDoodleRound(room), 3000);
+    if (!entry) {
+      return socket.emit(
+        "report:error",
+        "That message is no longer available."
+      );
     }
-  } else {
-    const msg = {
-      id: user.id,
-      name: user.name,
-      gender: user.gender,
-      age: user.age,
-      text,
+    if (entry.msg.id === userId) return;
+    const duplicate = Object.values(reports).some(
+      (r) => r.reporterId === userId && r.message.messageId === messageId
+    );
+    if (duplicate) return socket.emit("report:received", { messageId });
+    const report = {
+      id: randomUUID(),
+      reporterId: userId,
+      reporterName: reporter.name,
+      targetId: entry.msg.id,
+      targetName: entry.msg.name,
       room,
+      message: entry.msg,
+      reason:
+        typeof reason === "string"
+          ? reason.trim().slice(0, MAX_REPORT_REASON_LENGTH)
+          : "",
+      createdAt: Date.now(),
     };
-    io.to(room).emit("chat message", msg);
-  }
-}
-function startNewDoodleRound(roomId) {
-  const gameState = gameStates[roomId];
-  const room = activeGameRooms[roomId];
-  if (!gameState || !room || room.players.length < 2) {
-    if (room) room.inProgress = false;
-    if (gameState) gameState.isRoundActive = false;
-    io.to(roomId).emit("game:end", "Not enough players. Waiting for more...");
-    io.to(roomId).emit("game:state", {
-      gameType: "doodle",
-      creatorId: room ? room.creatorId : null,
-      players: room ? room.players : [],
-      isRoundActive: false,
-      scores: gameState ? gameState.scores : {},
-    });
-    io.emit("game:roomsList", getPublicRoomList());
-    return;
-  }
-  gameState.drawingHistory = [];
-  gameState.players = room.players.map((p) => p.id);
-  const nextDrawerIndex =
-    (gameState.currentPlayerIndex + 1) % gameState.players.length;
-  gameState.currentPlayerIndex = nextDrawerIndex;
-  const drawerId = gameState.players[nextDrawerIndex];
-  const drawerUser = users[drawerId];
-  if (!drawerUser) {
-    console.log(`Could not find drawer user for id ${drawerId}, skipping.`);
-    startNewDoodleRound(roomId);
-    return;
-  }
-  let availableWords = DOODLE_WORDS.filter(
-    (word) => !gameState.usedWords.has(word)
-  );
-  if (availableWords.length === 0) {
-    gameState.usedWords.clear();
-    availableWords = DOODLE_WORDS;
-  }
-  const word =
-    availableWords[Math.floor(Math.random() * availableWords.length)];
-  gameState.usedWords.add(word);
-  gameState.drawer = drawerUser;
-  gameState.word = word;
-  gameState.isRoundActive = true;
-  const roundEndTime = Date.now() + DOODLE_ROUND_TIME;
-  gameState.roundEndTime = roundEndTime;
-  io.to(roomId).emit("game:new_round");
-  if (gameState.roundTimer) clearTimeout(gameState.roundTimer);
-  gameState.roundTimer = setTimeout(() => {
-    io.to(roomId).emit("game:message", `Time's up! The word was '${word}'.`);
-    setTimeout(() => startNewDoodleRound(roomId), 3000);
-  }, DOODLE_ROUND_TIME);
-  io.to(roomId).emit("game:state", {
-    gameType: "doodle",
-    drawer: drawerUser,
-    isRoundActive: true,
-    scores: gameState.scores,
-    creatorId: room.creatorId,
-    players: room.players,
-    roundEndTime: roundEndTime,
+    reports[report.id] = report;
+    socket.emit("report:received", { messageId });
+    notifyModerators("moderator:new_report", report);
   });
-  io.to(drawerId).emit("game:word_prompt", word);
-}
-function getSerializableGameState(gameState) {
-  const stateToSend = { ...gameState };
-  delete stateToSend.turnTimer;
-  return stateToSend;
-}
-function startNewHangmanRound(roomId) {
-  const room = activeGameRooms[roomId];
-  const gameState = gameStates[roomId];
-  if (!room || !gameState || room.players.length < 2) {
-    if (room) room.inProgress = false;
-    io.to(roomId).emit("game:end", "Not enough players. Game over.");
-    io.emit("game:roomsList", getPublicRoomList());
-    return;
-  }
-  const word = HANGMAN_WORDS[Math.floor(Math.random() * HANGMAN_WORDS.length)];
-  const lastWinnerIndex = gameState.lastWinnerIndex;
-  let currentPlayerIndex =
-    typeof lastWinnerIndex === "number"
-      ? (lastWinnerIndex + 1) % 2
-      : Math.floor(Math.random() * 2);
-  Object.assign(gameState, {
-    word: word.toLowerCase(),
-    displayWord: Array(word.length)
-      .fill("_")
-      .map((c, i) => (word[i] === " " ? " " : "_")),
-    incorrectGuesses: [],
-    correctGuesses: word.includes(" ") ? [" "] : [],
-    isRoundActive: true,
-    isGameOver: false,
-    winner: null,
-    currentPlayerIndex: currentPlayerIndex,
-    currentPlayerTurn: room.players[currentPlayerIndex].id,
-  });
-  io.to(roomId).emit("game:new_round");
-  setHangmanTurnTimer(roomId);
-  io.to(roomId).emit("game:state", {
-    gameType: "hangman",
-    ...getSerializableGameState(gameState),
-    players: room.players,
-    creatorId: room.creatorId,
+
+  socket.on("moderator:auth", ({ secret } = {}) => {
+    const expected = Buffer.from(MODERATOR_SECRET || "");
+    const received = Buffer.from(typeof secret === "string" ? secret : "");
+    if (
+      !MODERATOR_SECRET ||
+      !users[userId] ||
+      expected.length !== received.length ||
+      !timingSafeEqual(expected, received)
+    ) {
+      return socket.emit("moderator:error", "Invalid moderator secret.");
+    }
+    moderators.add(userId);
+    socket.emit("moderator:authenticated");
+    socket.emit("moderator:reports", getOpenReports());
   });
-}
-function handleHangmanGuess(socket, user, room, letter, gameState) {
-  if (gameState.turnTimer) clearTimeout(gameState.turnTimer);
-  const cleanedLetter = letter.trim().toLowerCase();
-  if (cleanedLetter.length !== 1 || !/^[a-z]$/.test(cleanedLetter)) {
-    socket.emit("rate limit", "Please guess a single letter.");
-    setHangmanTurnTimer(room);
-    return;
-  }
-  if (
-    gameState.correctGuesses.includes(cleanedLetter) ||
-    gameState.incorrectGuesses.includes(cleanedLetter)
-  ) {
-    socket.emit("rate limit", `You already guessed '${cleanedLetter}'.`);
-    setHangmanTurnTimer(room);
-    return;
-  }
-  const word = gameState.word;
-  let isCorrect = false;
-  if (word.includes(cleanedLetter)) {
-    isCorrect = true;
-    gameState.correctGuesses.push(cleanedLetter);
-    gameState.displayWord = word
-      .split("")
-      .map((char) => (gameState.correctGuesses.includes(char) ? char : "_"));
-    io.to(room).emit("chat message", {
-      room,
-      text: `${
-        user.name
-      } guessed a correct letter: ${cleanedLetter.toUpperCase()}`,
-      name: "System",
-    });
-  } else {
-    gameState.incorrectGuesses.push(cleanedLetter);
-    io.to(room).emit("chat message", {
-      room,
-      text: `${
-        user.name
-      } guessed an incorrect letter: ${cleanedLetter.toUpperCase()}`,
-      name: "System",
-    });
-  }
-  const won = !gameState.displayWord.includes("_");
-  const lost = gameState.incorrectGuesses.length >= MAX_INCORRECT_GUESSES;
-  if (won || lost) {
-    gameState.isRoundActive = false;
-    gameState.isGameOver = true;
-    gameState.winner = won ? user : null;
-    gameState.lastWinnerIndex = won
-      ? gameState.currentPlayerIndex
-      : (gameState.currentPlayerIndex + 1) % 2;
-    const message = won
-      ? `🎉 ${user.name} won! The word was "${word}".`
-      : `😥 Game over! The word was "${word}".`;
-    io.to(room).emit("game:message", message);
-    setTimeout(() => startNewHangmanRound(room), 5000);
-  } else {
-    if (!isCorrect) {
-      const currentRoom = activeGameRooms[roomId];
-      gameState.currentPlayerIndex =
-        (gameState.currentPlayerIndex + 1) % currentRoom.players.length;
-      gameState.currentPlayerTurn =
-        currentRoom.players[gameState.currentPlayerIndex].id;
+
+  socket.on("moderator:reports", () => {
+    socket.emit("moderator:reports", getOpenReports());
+  });
+
+  socket.on("moderator:resolve", ({ reportId } = {}) => {
+    if (!reports[reportId]) return;
+    delete reports[reportId];
+    notifyModerators("moderator:reports", getOpenReports());
+  });
+
+  socket.on("moderator:mute", ({ targetId, minutes } = {}) => {
+    const duration = Number(minutes);
+    if (!users[targetId] || !(duration > 0)) return;
+    const mutedUntil =
+      Date.now() + Math.min(duration, MAX_MUTE_MINUTES) * 60 * 1000;
+    mutes[targetId] = mutedUntil;
+    io.to(targetId).emit("moderation:muted", { until: mutedUntil });
+    socket.emit("moderator:action_done", { action: "mute", targetId });
+  });
+
+  socket.on("moderator:kick", ({ targetId, room } = {}) => {
+    if (!users[targetId] || typeof room !== "string") return;
+    kickFromRoom(targetId, room);
+    socket.emit("moderator:action_done", { action: "kick", targetId, room });
+  });
+
+  socket.on("moderator:ban", ({ targetId, scope, minutes, reason } = {}) => {
+    if (!sessionIps[targetId] && !users[targetId]) return;
+    const duration = Number(minutes);
+    const ban = {
+      expiresAt: duration > 0 ? Date.now() + duration * 60 * 1000 : null,
+      reason: typeof reason === "string" ? reason : "",
+    };
+    const targetIp = sessionIps[targetId];
+    if (scope === "ip" && targetIp) {
+      bans[`ip:${targetIp}`] = ban;
+      Object.keys(sessionIps)
+        .filter((id) => sessionIps[id] === targetIp)
+        .forEach((id) => banSession(id, ban));
+    } else {
+      bans[`session:${targetId}`] = ban;
+      banSession(targetId, ban);
     }
-    setHangmanTurnTimer(room);
-  }
-  io.to(room).emit("game:state", {
-    gameType: "hangman",
-    ...getSerializableGameState(gameState),
+    socket.emit("moderator:action_done", { action: "ban", targetId });
   });
-}
-function setHangmanTurnTimer(roomId) {
-  const gameState = gameStates[roomId];
-  if (!gameState || !gameState.isRoundActive) return;
-  if (gameState.turnTimer) clearTimeout(gameState.turnTimer);
-  gameState.turnEndTime = Date.now() + HANGMAN_TURN_TIME;
-  gameState.turnTimer = setTimeout(
-    () => handleHangmanTimeout(roomId),
-    HANGMAN_TURN_TIME
-  );
-  io.to(roomId).emit("game:state", {
-    gameType: "hangman",
-    ...getSerializableGameState(gameState),
+
+  // --- GAME EVENTS ---
+  socket.on("game:types", () => {
+    socket.emit("game:types", gameRegistry.list());
   });
-}
-function handleHangmanTimeout(roomId) {
-  const gameState = gameStates[roomId];
-  if (!gameState || !gameState.isRoundActive) return;
-  const timedOutPlayer = users[gameState.currentPlayerTurn];
-  io.to(roomId).emit("chat message", {
-    room: roomId,
-    text: `${
-      timedOutPlayer ? timedOutPlayer.name : "Player"
-    }'s turn timed out.`,
-    name: "System",
+
+  Object.keys(gameEventHandlers).forEach((event) =>
+    socket.on(event, (payload) => dispatchGameEvent(event, userId, payload))
+  );
+
+  socket.on("session:end", () => {
+    endSession(userId);
+    io.in(userId).disconnectSockets(true);
   });
-  gameState.incorrectGuesses.push(" ");
-  const lost = gameState.incorrectGuesses.length >= MAX_INCORRECT_GUESSES;
-  if (lost) {
-    gameState.isRoundActive = false;
-    gameState.isGameOver = true;
-    io.to(roomId).emit(
-      "game:message",
-      `😥 Game over! The word was "${gameState.word}".`
-    );
-    gameState.lastWinnerIndex = (gameState.currentPlayerIndex + 1) % 2;
-    setTimeout(() => startNewHangmanRound(room), 5000);
-  } else {
-    const currentRoom = activeGameRooms[roomId];
-    gameState.currentPlayerIndex =
-      (gameState.currentPlayerIndex + 1) % currentRoom.players.length;
-    gameState.currentPlayerTurn =
-      currentRoom.players[gameState.currentPlayerIndex].id;
-    setHangmanTurnTimer(roomId);
-  }
-  io.to(roomId).emit("game:state", {
-    gameType: "hangman",
-    ...getSerializableGameState(gameState),
+
+  socket.on("disconnect", () => {
+    console.log("🔴 User disconnected:", socket.id);
+    session.sockets.delete(socket.id);
+    if (session.sockets.size > 0 || sessions[userId] !== session) return;
+    if (!users[userId]) {
+      endSession(userId);
+      return;
+    }
+    holdSession(userId);
   });
-}
+});
 
 // --- SERVER START ---
 app.get("/", (req, res) => {
   res.send("✅ Anonymous Chat & Games Backend is running smoothly.");
 });
+// Same session token the socket handshake uses, sent as a bearer token.
+app.get("/ice-servers", (req, res) => {
+  const [scheme, token] = (req.get("authorization") || "").split(" ");
+  const userId = scheme === "Bearer" ? verifySessionToken(token) : null;
+  if (!userId) return res.status(401).json({ error: "Invalid session." });
+  const ip = resolveClientIp(req.get("x-forwarded-for"), req.ip);
+  if (!users[userId] || getActiveBan(userId, ip)) {
+    return res.status(403).json({ error: "Session is not active." });
+  }
+  res.set("Cache-Control", "no-store");
+  res.json(getIceServers(userId));
+});
+restorePersistedState();
+if (process.env.CLUSTER_BROKER_URL) shared.requestSync();
+setInterval(persistState, STATE_SNAPSHOT_INTERVAL);
+["SIGTERM", "SIGINT"].forEach((signal) =>
+  process.on(signal, () => {
+    persistState();
+    storage.flush();
+    process.exit(0);
+  })
+);
 const PORT = process.env.PORT || 3000;
 server.listen(PORT, () => {
   console.log(`🚀 Server is running on port ${PORT}`);
@@ -0,0 +1,61 @@
+const fs = require("fs");
+const path = require("path");
+
+const WRITE_DELAY_MS = 1000;
+
+// Persists each collection as `<directory>/<name>.json`. Writes are batched
+// and go through a temp file + rename so a crash never leaves half a file.
+function createFileStorage({ directory }) {
+  fs.mkdirSync(directory, { recursive: true });
+  const pending = new Map();
+  const written = new Map();
+  let writeTimer = null;
+
+  const fileFor = (name) => path.join(directory, `${name}.json`);
+
+  function flush() {
+    if (writeTimer) clearTimeout(writeTimer);
+    writeTimer = null;
+    for (const [name, json] of pending) {
+      const file = fileFor(name);
+      try {
+        fs.writeFileSync(`${file}.tmp`, json);
+        fs.renameSync(`${file}.tmp`, file);
+        written.set(name, json);
+      } catch (err) {
+        console.error(`[Storage] Failed to write ${file}:`, err.message);
+      }
+    }
+    pending.clear();
+  }
+
+  return {
+    load(name) {
+      try {
+        const json = fs.readFileSync(fileFor(name), "utf8");
+        written.set(name, json);
+        return JSON.parse(json);
+      } catch (err) {
+        if (err.code !== "ENOENT") {
+          console.error(`[Storage] Failed to read ${name}:`, err.message);
+        }
+        return undefined;
+      }
+    },
+    save(name, value) {
+      const json = JSON.stringify(value);
+      if (written.get(name) === json) {
+        pending.delete(name);
+        return;
+      }
+      pending.set(name, json);
+      if (!writeTimer) {
+        writeTimer = setTimeout(flush, WRITE_DELAY_MS);
+        writeTimer.unref();
+      }
+    },
+    flush,
+  };
+}
+
+module.exports = { createFileStorage };
@@ -0,0 +1,29 @@
+const path = require("path");
+const { createMemoryStorage } = require("./memory");
+const { createFileStorage } = require("./file");
+
+// Every adapter exposes the same three methods:
+//   load(name)        -> the last saved value of a collection, or undefined
+//   save(name, value) -> stores a JSON-serialisable snapshot of a collection
+//   flush()           -> synchronously writes anything still pending
+const drivers = {
+  memory: () => createMemoryStorage(),
+  file: (options) =>
+    createFileStorage({
+      directory: options.directory || path.join(__dirname, "..", "data"),
+    }),
+};
+
+function createStorage(options = {}) {
+  const driver = options.driver || "memory";
+  if (!drivers[driver]) {
+    throw new Error(
+      `Unknown storage driver "${driver}". Use one of: ${Object.keys(
+        drivers
+      ).join(", ")}`
+    );
+  }
+  return drivers[driver](options);
+}
+
+module.exports = { createStorage };
@@ -0,0 +1,16 @@
+// Default adapter: keeps snapshots in the process, so nothing survives a
+// restart. This is the behaviour the server always had.
+function createMemoryStorage() {
+  const collections = new Map();
+  return {
+    load(name) {
+      return collections.get(name);
+    },
+    save(name, value) {
+      collections.set(name, value);
+    },
+    flush() {},
+  };
+}
+
+module.exports = { createMemoryStorage };
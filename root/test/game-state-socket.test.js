@@ -0,0 +1,88 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("path");
+const { spawn } = require("child_process");
+const { io } = require("socket.io-client");
+
+const PORT = 40000 + Math.floor(Math.random() * 10000);
+const URL = `http://localhost:${PORT}`;
+
+function startServer() {
+  const server = spawn(process.execPath, ["server.js"], {
+    cwd: path.join(__dirname, ".."),
+    env: { ...process.env, PORT: String(PORT), STORAGE_DRIVER: "memory" },
+    stdio: ["ignore", "pipe", "inherit"],
+  });
+  return new Promise((resolve, reject) => {
+    server.on("error", reject);
+    server.stdout.on("data", (chunk) => {
+      if (chunk.toString().includes("Server is running")) resolve(server);
+    });
+  });
+}
+
+const once = (socket, event) =>
+  new Promise((resolve) => socket.once(event, resolve));
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+async function connect(nickname) {
+  const socket = io(URL, { transports: ["websocket"] });
+  socket.states = [];
+  socket.on("game:state", (state) => socket.states.push(state));
+  socket.emit("user info", { nickname });
+  await once(socket, "session");
+  return socket;
+}
+
+test("emitGameState sends each socket its own projection", async (t) => {
+  const server = await startServer();
+  const sockets = [];
+  t.after(() => {
+    sockets.forEach((socket) => socket.close());
+    server.kill();
+  });
+  const [host, guesser, spectator] = await Promise.all(
+    ["Host", "Guesser", "Watcher"].map(connect)
+  );
+  sockets.push(host, guesser, spectator);
+
+  const joined = once(host, "game:joined");
+  host.emit("game:create", { roomName: "Secrets", gameType: "doodle" });
+  const room = await joined;
+  const guesserJoined = once(guesser, "game:joined");
+  guesser.emit("game:join", { roomId: room.id });
+  await guesserJoined;
+  const watching = once(spectator, "game:spectating");
+  spectator.emit("game:spectate", { roomId: room.id });
+  await watching;
+
+  // The host joined first, so they draw the first round.
+  const choices = once(host, "game:word_choices");
+  host.emit("game:start", room.id);
+  const wordChoices = await choices;
+  const prompt = once(host, "game:word_prompt");
+  host.emit("game:action", {
+    room: room.id,
+    action: "choose_word",
+    data: { index: 0 },
+  });
+  const word = await prompt;
+  await wait(200);
+
+  const latest = (socket) => socket.states[socket.states.length - 1];
+  assert.equal(latest(host).viewer.role, "player");
+  assert.equal(latest(host).viewer.isHost, true);
+  assert.equal(latest(host).word, word);
+  assert.equal(latest(spectator).viewer.role, "spectator");
+  assert.equal(latest(spectator).phase, "drawing");
+  for (const socket of [guesser, spectator]) {
+    assert.ok(socket.states.length > 0);
+    // Lobby states before the start carry no word field at all.
+    socket.states.forEach((state) => {
+      assert.ok(!state.word);
+      wordChoices.forEach((choice) =>
+        assert.ok(!JSON.stringify(state).includes(`"${choice}"`))
+      );
+    });
+  }
+});
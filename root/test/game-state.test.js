@@ -0,0 +1,143 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const doodle = require("../games/doodle");
+const hangman = require("../games/hangman");
+const trivia = require("../games/trivia");
+
+// A stand-in for the context server.js builds, with timers and emits as
+// no-ops so a game can be driven synchronously.
+function createGame(definition, playerIds, settings) {
+  const users = {};
+  playerIds.forEach((id) => (users[id] = { id, name: id.toUpperCase() }));
+  const game = {
+    roomId: "room-1",
+    room: {
+      players: playerIds.map((id) => users[id]),
+      creatorId: playerIds[0],
+      settings: settings || {},
+    },
+    state: null,
+    getUser: (id) => users[id],
+    emit() {},
+    emitTo() {},
+    emitExcept() {},
+    announce() {},
+    notify() {},
+    broadcastState() {},
+    setInProgress() {},
+    setTimer() {},
+    clearTimer() {},
+    close() {},
+    filterText: (userId, text) => text,
+  };
+  definition.start(game);
+  return game;
+}
+
+function view(definition, game, userId, role = "player") {
+  return definition.serialize(game.state, {
+    userId,
+    role,
+    isHost: game.room.creatorId === userId,
+  });
+}
+
+const leaks = (payload, secret) => JSON.stringify(payload).includes(secret);
+
+test("doodle: word choices only reach the drawer", () => {
+  const game = createGame(doodle, ["a", "b", "c"]);
+  const { drawer, wordChoices } = game.state;
+  assert.equal(drawer.id, "a");
+  assert.deepEqual(view(doodle, game, "a").wordChoices, wordChoices);
+  for (const [userId, role] of [
+    ["b", "player"],
+    ["c", "player"],
+    ["s", "spectator"],
+  ]) {
+    const payload = view(doodle, game, userId, role);
+    assert.deepEqual(payload.wordChoices, []);
+    wordChoices.forEach((word) => assert.ok(!leaks(payload, `"${word}"`)));
+  }
+});
+
+test("doodle: the word reaches the drawer and players who guessed it", () => {
+  // The host is a guesser here, so hosting alone must not reveal the word.
+  const game = createGame(doodle, ["a", "b", "c"]);
+  game.room.creatorId = "c";
+  doodle.handleAction(game, "a", "choose_word", { index: 0 });
+  const { word } = game.state;
+  doodle.handleAction(game, "b", "chat", { text: word });
+  assert.deepEqual(game.state.guessedPlayers, ["b"]);
+
+  assert.equal(view(doodle, game, "a").word, word);
+  assert.equal(view(doodle, game, "b").word, word);
+  const host = view(doodle, game, "c");
+  assert.equal(host.word, null);
+  assert.ok(!leaks(host, `"${word}"`));
+  const spectator = view(doodle, game, "s", "spectator");
+  assert.equal(spectator.word, null);
+  assert.ok(!leaks(spectator, `"${word}"`));
+  for (const payload of [host, spectator]) {
+    assert.equal(payload.usedWords, undefined);
+    assert.equal(payload.drawingHistory, undefined);
+  }
+});
+
+test("doodle: a spectator never sees the word, even with a guesser's id", () => {
+  const game = createGame(doodle, ["a", "b"]);
+  doodle.handleAction(game, "a", "choose_word", { index: 0 });
+  doodle.handleAction(game, "b", "chat", { text: game.state.word });
+  assert.equal(view(doodle, game, "b", "spectator").word, null);
+  assert.equal(view(doodle, game, "a", "spectator").word, null);
+});
+
+test("hangman: the answer is hidden from everyone during a round", () => {
+  const game = createGame(hangman, ["a", "b", "c"], { category: "any" });
+  const { word } = game.state;
+  for (const [userId, role] of [
+    [game.state.currentPlayerTurn, "player"],
+    ["a", "player"],
+    ["b", "player"],
+    ["s", "spectator"],
+  ]) {
+    const payload = view(hangman, game, userId, role);
+    assert.equal(payload.word, null);
+    assert.ok(!leaks(payload, `"${word}"`));
+  }
+});
+
+test("hangman: the answer is shown to everyone once the round ends", () => {
+  const game = createGame(hangman, ["a", "b"], { category: "any" });
+  const { word, currentPlayerTurn } = game.state;
+  hangman.handleAction(game, currentPlayerTurn, "guess", { word });
+  assert.equal(game.state.isRoundActive, false);
+  assert.equal(view(hangman, game, "a").word, word);
+  assert.equal(view(hangman, game, "s", "spectator").word, word);
+});
+
+test("trivia: answers and other players' picks stay hidden until the reveal", () => {
+  const game = createGame(trivia, ["a", "b", "c"], {
+    pack: "general",
+    questionCount: 3,
+  });
+  trivia.handleAction(game, "a", "answer", { choice: 1 });
+  trivia.handleAction(game, "b", "answer", { choice: 0 });
+  assert.equal(game.state.isRoundActive, true);
+
+  assert.equal(view(trivia, game, "a").myAnswer, 1);
+  assert.equal(view(trivia, game, "b").myAnswer, 0);
+  assert.equal(view(trivia, game, "c").myAnswer, null);
+  assert.equal(view(trivia, game, "a", "spectator").myAnswer, null);
+  for (const [userId, role] of [
+    ["a", "player"],
+    ["c", "player"],
+    ["s", "spectator"],
+  ]) {
+    const payload = view(trivia, game, userId, role);
+    assert.equal(payload.answers, undefined);
+    assert.equal(payload.questions, undefined);
+    assert.equal(payload.lastReveal, null);
+    assert.equal(payload.question.answer, undefined);
+    assert.equal(payload.answeredCount, 2);
+  }
+});